@@ -17,8 +17,16 @@ contract DAORoles is Ownable {
     event DappAdded(address indexed account);
     event DappRemoved(address indexed account);
 
+    event FunderAdded(address indexed account);
+    event FunderRemoved(address indexed account);
+
+    event MigratorAdded(address indexed account);
+    event MigratorRemoved(address indexed account);
+
     Roles.Role private _operators;
     Roles.Role private _dapps;
+    Roles.Role private _funders;
+    Roles.Role private _migrators;
 
     constructor () internal {} // solhint-disable-line no-empty-blocks
 
@@ -32,6 +40,16 @@ contract DAORoles is Ownable {
         _;
     }
 
+    modifier onlyFunder() {
+        require(isFunder(msg.sender));
+        _;
+    }
+
+    modifier onlyMigrator() {
+        require(isMigrator(msg.sender));
+        _;
+    }
+
     /**
      * @dev Check if an address has the `operator` role
      * @param account Address you want to check
@@ -48,6 +66,22 @@ contract DAORoles is Ownable {
         return _dapps.has(account);
     }
 
+    /**
+     * @dev Check if an address has the `funder` role
+     * @param account Address you want to check
+     */
+    function isFunder(address account) public view returns (bool) {
+        return _funders.has(account);
+    }
+
+    /**
+     * @dev Check if an address has the `migrator` role
+     * @param account Address you want to check
+     */
+    function isMigrator(address account) public view returns (bool) {
+        return _migrators.has(account);
+    }
+
     /**
      * @dev Add the `operator` role from address
      * @param account Address you want to add role
@@ -64,6 +98,22 @@ contract DAORoles is Ownable {
         _addDapp(account);
     }
 
+    /**
+     * @dev Add the `funder` role from address
+     * @param account Address you want to add role
+     */
+    function addFunder(address account) public onlyOwner {
+        _addFunder(account);
+    }
+
+    /**
+     * @dev Add the `migrator` role from address
+     * @param account Address you want to add role
+     */
+    function addMigrator(address account) public onlyOwner {
+        _addMigrator(account);
+    }
+
     /**
      * @dev Remove the `operator` role from address
      * @param account Address you want to remove role
@@ -80,6 +130,22 @@ contract DAORoles is Ownable {
         _removeDapp(account);
     }
 
+    /**
+     * @dev Remove the `funder` role from address
+     * @param account Address you want to remove role
+     */
+    function removeFunder(address account) public onlyOwner {
+        _removeFunder(account);
+    }
+
+    /**
+     * @dev Remove the `migrator` role from address
+     * @param account Address you want to remove role
+     */
+    function removeMigrator(address account) public onlyOwner {
+        _removeMigrator(account);
+    }
+
     function _addOperator(address account) internal {
         _operators.add(account);
         emit OperatorAdded(account);
@@ -90,6 +156,16 @@ contract DAORoles is Ownable {
         emit DappAdded(account);
     }
 
+    function _addFunder(address account) internal {
+        _funders.add(account);
+        emit FunderAdded(account);
+    }
+
+    function _addMigrator(address account) internal {
+        _migrators.add(account);
+        emit MigratorAdded(account);
+    }
+
     function _removeOperator(address account) internal {
         _operators.remove(account);
         emit OperatorRemoved(account);
@@ -99,4 +175,14 @@ contract DAORoles is Ownable {
         _dapps.remove(account);
         emit DappRemoved(account);
     }
+
+    function _removeFunder(address account) internal {
+        _funders.remove(account);
+        emit FunderRemoved(account);
+    }
+
+    function _removeMigrator(address account) internal {
+        _migrators.remove(account);
+        emit MigratorRemoved(account);
+    }
 }
@@ -3,6 +3,7 @@ pragma solidity ^0.5.11;
 import "erc-payable-token/contracts/payment/ERC1363Payable.sol";
 import "../access/roles/DAORoles.sol";
 import "./Organization.sol";
+import "./DappCaps.sol";
 
 /**
  * @title DAO
@@ -20,6 +21,28 @@ contract DAO is ERC1363Payable, DAORoles {
         uint256 id
     );
 
+    event MemberRemoved(
+        address indexed account,
+        uint256 id,
+        string reason
+    );
+
+    event MemberMigrated(
+        address indexed from,
+        address indexed to,
+        uint256 id
+    );
+
+    event MigrationRequested(
+        address indexed from,
+        address indexed to,
+        uint256 eta
+    );
+
+    event MigrationCancelled(address indexed account);
+
+    event MigrationDelayChanged(uint256 delay);
+
     event MemberStatusChanged(
         address indexed account,
         bool approved
@@ -35,15 +58,156 @@ contract DAO is ERC1363Payable, DAORoles {
         uint256 value
     );
 
+    event UnstakeRequested(
+        address indexed account,
+        uint256 value,
+        uint256 releaseDate
+    );
+
+    event TokensWithdrawn(
+        address indexed account,
+        uint256 value
+    );
+
+    event UnstakeCooldownChanged(uint256 cooldown);
+
+    event TokensLocked(
+        address indexed account,
+        uint256 value,
+        uint256 lockedUntil
+    );
+
+    event RewardsAdded(
+        address indexed funder,
+        uint256 value
+    );
+
+    event RewardsClaimed(
+        address indexed account,
+        uint256 value
+    );
+
     event TokensUsed(
         address indexed account,
         address indexed dapp,
         uint256 value
     );
 
+    event TokensRefunded(
+        address indexed account,
+        address indexed dapp,
+        uint256 value
+    );
+
+    event RevenueShared(
+        address indexed dapp,
+        address indexed treasury,
+        uint256 value
+    );
+
+    event RevenueShareChanged(uint256 share);
+
+    event DappRevenueShareChanged(
+        address indexed dapp,
+        bool enabled,
+        uint256 share
+    );
+
+    event TreasuryChanged(address treasury);
+
+    event DappRegistryChanged(address registry);
+
+    event DappAllowanceChanged(
+        address indexed account,
+        address indexed dapp,
+        uint256 amount,
+        uint256 expiry
+    );
+
+    event TiersChanged(
+        uint256[] minStakes,
+        uint256[] minAges
+    );
+
+    event TierChanged(
+        address indexed account,
+        uint256 fromTier,
+        uint256 toTier
+    );
+
+    event DappCapsChanged(address dappCaps);
+
+    event DelegateChanged(
+        address indexed delegator,
+        address indexed fromDelegate,
+        address indexed toDelegate
+    );
+
+    // structure defining a membership migration requested by an operator
+    struct Migration {
+        address newAccount;
+        uint256 eta;
+    }
+
+    // the minimum time a migration requested by an operator has to wait, so members can cancel it
+    uint256 internal constant MIN_MIGRATION_DELAY = 1 days;
+
     Organization.Members private _members;
 
-    constructor (IERC1363 acceptedToken) public ERC1363Payable(acceptedToken) {} // solhint-disable-line no-empty-blocks
+    // the time a migration requested by an operator has to wait before being executed, in seconds
+    uint256 private _migrationDelay;
+
+    // the migrations requested by operators
+    mapping(address => Migration) private _migrations;
+
+    // the staked tokens needed to reach each tier, starting from tier 1
+    uint256[] private _tierMinStakes;
+
+    // the membership age needed to reach each tier, starting from tier 1
+    uint256[] private _tierMinAges;
+
+    // the time pending tokens have to wait before being withdrawn, in seconds
+    uint256 private _unstakeCooldown;
+
+    // the percentage of used tokens kept by the DAO
+    uint256 private _revenueShare;
+
+    // the percentage of used tokens kept by the DAO for DAPPs having an override
+    mapping(address => uint256) private _dappRevenueShares;
+
+    // DAPPs having an override of the revenue share
+    mapping(address => bool) private _hasDappRevenueShare;
+
+    // the address receiving the revenue share, if zero it is distributed to stakers
+    address private _treasury;
+
+    // the registry managing the `dapp` role, if zero it is managed by operators
+    address private _dappRegistry;
+
+    // the caps accounting every use, if zero DAPPs are not capped
+    DappCaps private _dappCaps;
+
+    /**
+     * @dev modifier to emit an event if the tier of an account changes
+     * @param account Address you want to track
+     */
+    modifier tracksTier(address account) {
+        uint256 previousTier = tierOf(account);
+        _;
+        _checkTier(account, previousTier);
+    }
+
+    /**
+     * @dev modifier to allow only the DAPP registry, or operators if it is not set, to do some actions
+     */
+    modifier onlyDappManager() {
+        require(_dappRegistry == address(0) ? isOperator(msg.sender) : msg.sender == _dappRegistry);
+        _;
+    }
+
+    constructor (IERC1363 acceptedToken) public ERC1363Payable(acceptedToken) {
+        _migrationDelay = MIN_MIGRATION_DELAY;
+    }
 
     /**
      * @dev fallback. This function will create a new member
@@ -69,6 +233,96 @@ contract DAO is ERC1363Payable, DAORoles {
         _newMember(account);
     }
 
+    /**
+     * @dev Remove sender from members, giving back its staked and pending tokens and rewards.
+     * Locked tokens must be expired and, if there is an unstake cooldown, tokens must be unstaked and released before
+     */
+    function leave() external {
+        require(lockedTokensOf(msg.sender) == 0);
+
+        if (_unstakeCooldown != 0) {
+            require(stakedTokensOf(msg.sender) == 0);
+            require(block.timestamp >= releaseDateOf(msg.sender)); // solhint-disable-line not-rely-on-time
+        }
+
+        _removeMember(msg.sender, "");
+    }
+
+    /**
+     * @dev Remove a member, giving back its staked and pending tokens and rewards.
+     * Members delegating to it keep no voting power until their delegation is cleared
+     * @param account Address you want to remove
+     * @param reason string The reason of the removal
+     */
+    function removeMember(address account, string calldata reason) external onlyOperator {
+        _removeMember(account, reason);
+    }
+
+    /**
+     * @dev Move sender membership, staked tokens and approval to a new address
+     * @param newAccount Address you want to move the membership to
+     */
+    function migrate(address newAccount) external {
+        _migrate(msg.sender, newAccount);
+    }
+
+    /**
+     * @dev Request to move a membership to a new address, for members who lost their keys.
+     * It can be executed after the migration delay and cancelled by the member in the meantime.
+     * It can be requested by operators or by contracts having only the `migrator` role
+     * @param account Current address of the member
+     * @param newAccount Address you want to move the membership to
+     */
+    function requestMigration(address account, address newAccount) external {
+        require(isOperator(msg.sender) || isMigrator(msg.sender));
+        require(isMember(account));
+        require(newAccount != address(0));
+
+        uint256 eta = block.timestamp.add(_migrationDelay); // solhint-disable-line not-rely-on-time
+
+        _migrations[account] = Migration(newAccount, eta);
+
+        emit MigrationRequested(account, newAccount, eta);
+    }
+
+    /**
+     * @dev Execute a migration requested by an operator once the delay is passed
+     * @param account Current address of the member
+     */
+    function executeMigration(address account) external {
+        Migration memory migration = _migrations[account];
+
+        require(migration.newAccount != address(0));
+        require(block.timestamp >= migration.eta); // solhint-disable-line not-rely-on-time
+
+        _migrate(account, migration.newAccount);
+    }
+
+    /**
+     * @dev Cancel a migration requested by an operator. It can be called by the member or by an operator
+     * @param account Current address of the member
+     */
+    function cancelMigration(address account) external {
+        require(msg.sender == account || isOperator(msg.sender));
+        require(_migrations[account].newAccount != address(0));
+
+        delete _migrations[account];
+
+        emit MigrationCancelled(account);
+    }
+
+    /**
+     * @dev Set the migration delay. It can't be lower than the minimum delay
+     * @param delay uint256 The new delay, in seconds
+     */
+    function setMigrationDelay(uint256 delay) external onlyOwner {
+        require(delay >= MIN_MIGRATION_DELAY);
+
+        _migrationDelay = delay;
+
+        emit MigrationDelayChanged(delay);
+    }
+
     /**
      * @dev Set the approved status for a member
      * @param account Address you want to update
@@ -90,23 +344,254 @@ contract DAO is ERC1363Payable, DAORoles {
     }
 
     /**
-     * @dev Use tokens from a specific account
+     * @dev Use tokens from a specific account. The account must have granted enough allowance to the DAPP
      * @param account Address to use the tokens from
      * @param amount Number of tokens to use
      */
-    function use(address account, uint256 amount) external onlyDapp {
-        _members.use(account, amount);
+    function use(address account, uint256 amount) external onlyDapp tracksTier(account) {
+        _members.spendAllowance(account, msg.sender, amount);
 
-        IERC20(acceptedToken()).transfer(msg.sender, amount);
+        if (address(_dappCaps) != address(0)) {
+            _dappCaps.spend(msg.sender, account, amount);
+        }
+
+        _members.use(account, msg.sender, amount);
+
+        uint256 sharedAmount = _shareRevenue(amount);
+
+        IERC20(acceptedToken()).transfer(msg.sender, amount.sub(sharedAmount));
 
         emit TokensUsed(account, msg.sender, amount);
     }
 
     /**
-     * @dev Remove tokens from member stack
+     * @dev Give back used tokens to a specific account, adding them to its staked tokens.
+     * DAPP must approve the DAO to spend tokens before
+     * @param account Address to refund the tokens to
+     * @param amount Number of tokens to refund
+     */
+    function refund(address account, uint256 amount) external onlyDapp tracksTier(account) {
+        _members.refund(account, msg.sender, amount);
+
+        IERC20(acceptedToken()).transferFrom(msg.sender, address(this), amount);
+
+        emit TokensRefunded(account, msg.sender, amount);
+    }
+
+    /**
+     * @dev Allow a DAPP to use sender tokens
+     * @param dapp Address of the DAPP
+     * @param amount Number of tokens the DAPP can use
+     * @param expiry The date after which the allowance is not valid, zero for no expiry
+     */
+    function approveDapp(address dapp, uint256 amount, uint256 expiry) external {
+        _members.setAllowance(msg.sender, dapp, amount, expiry);
+
+        emit DappAllowanceChanged(msg.sender, dapp, amount, expiry);
+    }
+
+    /**
+     * @dev Revoke the allowance of a DAPP to use sender tokens
+     * @param dapp Address of the DAPP
+     */
+    function revokeDapp(address dapp) external {
+        _members.setAllowance(msg.sender, dapp, 0, 0);
+
+        emit DappAllowanceChanged(msg.sender, dapp, 0, 0);
+    }
+
+    /**
+     * @dev Delegate the voting power of sender to another member
+     * @param delegatee Address of the member voting on behalf
+     */
+    function delegate(address delegatee) external {
+        address fromDelegate = _members.delegateOf(msg.sender);
+
+        _members.delegate(msg.sender, delegatee);
+
+        emit DelegateChanged(msg.sender, fromDelegate, delegatee);
+    }
+
+    /**
+     * @dev Revoke the delegation of sender voting power
+     */
+    function undelegate() external {
+        address fromDelegate = _members.delegateOf(msg.sender);
+
+        _members.undelegate(msg.sender);
+
+        emit DelegateChanged(msg.sender, fromDelegate, address(0));
+    }
+
+    /**
+     * @dev Revoke the delegation of a member to a removed member, giving back its voting power.
+     * Anyone can call this, as the removed member can't vote anymore
+     * @param account Address of the delegating member
+     */
+    function clearDelegation(address account) external {
+        address fromDelegate = _members.delegateOf(account);
+
+        _members.clearDelegation(account);
+
+        emit DelegateChanged(account, fromDelegate, address(0));
+    }
+
+    /**
+     * @dev Move tokens from member stack to pending tokens, released after the unstake cooldown
      * @param amount Number of tokens to unstake
      */
-    function unstake(uint256 amount) public {
+    function requestUnstake(uint256 amount) external tracksTier(msg.sender) {
+        uint256 releaseDate = block.timestamp.add(_unstakeCooldown); // solhint-disable-line not-rely-on-time
+
+        _members.requestUnstake(msg.sender, amount, releaseDate);
+
+        emit UnstakeRequested(msg.sender, amount, releaseDate);
+    }
+
+    /**
+     * @dev Transfer pending tokens back to member once released
+     */
+    function withdraw() external {
+        uint256 amount = _members.withdraw(msg.sender);
+
+        IERC20(acceptedToken()).transfer(msg.sender, amount);
+
+        emit TokensWithdrawn(msg.sender, amount);
+    }
+
+    /**
+     * @dev Lock staked tokens for a duration in exchange of a boost on weight.
+     * Locked tokens cannot be unstaked or used until the lock expires
+     * @param amount Number of tokens to add to the lock
+     * @param duration uint256 The lock duration from now, in seconds. It cannot shorten an active lock
+     */
+    function lock(uint256 amount, uint256 duration) external {
+        uint256 until = block.timestamp.add(duration); // solhint-disable-line not-rely-on-time
+
+        _members.lock(msg.sender, amount, until);
+
+        emit TokensLocked(msg.sender, amount, until);
+    }
+
+    /**
+     * @dev Distribute reward tokens to members pro-rata to their staked tokens.
+     * Funder must approve the DAO to spend reward tokens before
+     * @param amount Number of reward tokens to distribute
+     */
+    function addRewards(uint256 amount) external onlyFunder {
+        IERC20(acceptedToken()).transferFrom(msg.sender, address(this), amount);
+
+        _members.addRewards(amount);
+
+        emit RewardsAdded(msg.sender, amount);
+    }
+
+    /**
+     * @dev Transfer earned rewards to sender
+     */
+    function claimRewards() external {
+        uint256 amount = _members.claimRewards(msg.sender);
+
+        IERC20(acceptedToken()).transfer(msg.sender, amount);
+
+        emit RewardsClaimed(msg.sender, amount);
+    }
+
+    /**
+     * @dev Set the percentage of used tokens kept by the DAO
+     * @param share uint256 The new percentage
+     */
+    function setRevenueShare(uint256 share) external onlyOwner {
+        require(share <= 100);
+
+        _revenueShare = share;
+
+        emit RevenueShareChanged(share);
+    }
+
+    /**
+     * @dev Set or remove the override of the revenue share for a DAPP
+     * @param dapp Address of the DAPP
+     * @param enabled Bool if the override is used or not
+     * @param share uint256 The percentage of used tokens kept by the DAO for the DAPP
+     */
+    function setDappRevenueShare(address dapp, bool enabled, uint256 share) external onlyOwner {
+        require(share <= 100);
+
+        _hasDappRevenueShare[dapp] = enabled;
+        _dappRevenueShares[dapp] = share;
+
+        emit DappRevenueShareChanged(dapp, enabled, share);
+    }
+
+
+    /**
+     * @dev Set the address receiving the revenue share
+     * @param treasury Address of the treasury, zero to distribute revenue share to stakers
+     */
+    function setTreasury(address treasury) external onlyOwner {
+        _treasury = treasury;
+
+        emit TreasuryChanged(treasury);
+    }
+
+    /**
+     * @dev Set the registry managing the `dapp` role. Once set, operators can't add or remove DAPPs directly
+     * @param registry Address of the registry, zero to let operators manage the `dapp` role
+     */
+    function setDappRegistry(address registry) external onlyOwner {
+        _dappRegistry = registry;
+
+        emit DappRegistryChanged(registry);
+    }
+
+    /**
+     * @dev Set the caps limiting the tokens each DAPP can use in each epoch
+     * @param dappCaps Address of the caps, zero to remove any cap
+     */
+    function setDappCaps(DappCaps dappCaps) external onlyOwner {
+        _dappCaps = dappCaps;
+
+        emit DappCapsChanged(address(dappCaps));
+    }
+
+    /**
+     * @dev Set the tiers thresholds. Each tier must require at least what is required by the previous one
+     * @param minStakes uint256[] The staked tokens needed to reach each tier, starting from tier 1
+     * @param minAges uint256[] The membership age needed to reach each tier, in seconds
+     */
+    function setTiers(uint256[] calldata minStakes, uint256[] calldata minAges) external onlyOwner {
+        require(minStakes.length == minAges.length);
+
+        for (uint256 i = 1; i < minStakes.length; i++) {
+            require(minStakes[i] >= minStakes[i - 1]);
+            require(minAges[i] >= minAges[i - 1]);
+        }
+
+        _tierMinStakes = minStakes;
+        _tierMinAges = minAges;
+
+        emit TiersChanged(minStakes, minAges);
+    }
+
+    /**
+     * @dev Set the unstake cooldown
+     * @param cooldown uint256 The new cooldown, in seconds
+     */
+    function setUnstakeCooldown(uint256 cooldown) external onlyOwner {
+        _unstakeCooldown = cooldown;
+
+        emit UnstakeCooldownChanged(cooldown);
+    }
+
+    /**
+     * @dev Remove tokens from member stack. Only allowed if there is no unstake cooldown,
+     * use requestUnstake and withdraw otherwise
+     * @param amount Number of tokens to unstake
+     */
+    function unstake(uint256 amount) public tracksTier(msg.sender) {
+        require(_unstakeCooldown == 0);
+
         _members.unstake(msg.sender, amount);
 
         IERC20(acceptedToken()).transfer(msg.sender, amount);
@@ -115,13 +600,21 @@ contract DAO is ERC1363Payable, DAORoles {
     }
 
     /**
-     * @dev Returns the members number
+     * @dev Returns the members number, including removed ones
      * @return uint256
      */
     function membersNumber() public view returns (uint256) {
         return _members.count;
     }
 
+    /**
+     * @dev Returns the number of members not removed
+     * @return uint256
+     */
+    function activeMembersNumber() public view returns (uint256) {
+        return _members.count.sub(_members.removedCount);
+    }
+
     /**
      * @dev Returns the total staked tokens number
      * @return uint256
@@ -138,6 +631,160 @@ contract DAO is ERC1363Payable, DAORoles {
         return _members.totalUsedTokens;
     }
 
+    /**
+     * @dev Returns the total pending tokens number
+     * @return uint256
+     */
+    function totalPendingTokens() public view returns (uint256) {
+        return _members.totalPendingTokens;
+    }
+
+    /**
+     * @dev Returns the total reward tokens not yet claimed
+     * @return uint256
+     */
+    function totalRewards() public view returns (uint256) {
+        return _members.totalRewards;
+    }
+
+    /**
+     * @dev Returns the time pending tokens have to wait before being withdrawn
+     * @return uint256
+     */
+    function unstakeCooldown() public view returns (uint256) {
+        return _unstakeCooldown;
+    }
+
+    /**
+     * @dev Returns the percentage of used tokens kept by the DAO
+     * @return uint256
+     */
+    function revenueShare() public view returns (uint256) {
+        return _revenueShare;
+    }
+
+    /**
+     * @dev Returns the percentage of used tokens kept by the DAO for a DAPP
+     * @param dapp Address of the DAPP
+     * @return uint256 The DAPP override if set, the revenue share otherwise
+     */
+    function revenueShareOf(address dapp) public view returns (uint256) {
+        if (_hasDappRevenueShare[dapp]) {
+            return _dappRevenueShares[dapp];
+        }
+
+        return _revenueShare;
+    }
+
+
+
+
+    /**
+     * @dev Returns the address receiving the revenue share
+     * @return address The treasury, zero if revenue share is distributed to stakers
+     */
+    function treasury() public view returns (address) {
+        return _treasury;
+    }
+
+    /**
+     * @return the caps limiting the tokens each DAPP can use, zero if not capped
+     */
+    function dappCaps() public view returns (DappCaps) {
+        return _dappCaps;
+    }
+
+    /**
+     * @return the registry managing the `dapp` role, zero if it is managed by operators
+     */
+    function dappRegistry() public view returns (address) {
+        return _dappRegistry;
+    }
+
+    /**
+     * @dev Add the `dapp` role from address. Only the DAPP registry can do it, if set
+     * @param account Address you want to add role
+     */
+    function addDapp(address account) public onlyDappManager {
+        _addDapp(account);
+    }
+
+    /**
+     * @dev Remove the `dapp` role from address. Only the DAPP registry can do it, if set
+     * @param account Address you want to remove role
+     */
+    function removeDapp(address account) public onlyDappManager {
+        _removeDapp(account);
+    }
+
+    /**
+     * @dev Returns the time a migration requested by an operator has to wait before being executed
+     * @return uint256
+     */
+    function migrationDelay() public view returns (uint256) {
+        return _migrationDelay;
+    }
+
+    /**
+     * @dev Returns the minimum time a migration requested by an operator has to wait before being executed
+     * @return uint256
+     */
+    function minMigrationDelay() public pure returns (uint256) {
+        return MIN_MIGRATION_DELAY;
+    }
+
+    /**
+     * @dev Returns the migration requested by an operator for given address
+     * @param account Address you want to check
+     * @return the new address, zero if not requested, and the date after which the migration can be executed
+     */
+    function pendingMigrationOf(address account) public view returns (address newAccount, uint256 eta) {
+        Migration storage migration = _migrations[account];
+
+        newAccount = migration.newAccount;
+        eta = migration.eta;
+    }
+
+    /**
+     * @dev Returns the number of tiers, excluding the base tier 0
+     * @return uint256
+     */
+    function tiersNumber() public view returns (uint256) {
+        return _tierMinStakes.length;
+    }
+
+    /**
+     * @dev Returns the thresholds of a tier
+     * @param tier uint256 The tier, starting from 1
+     * @return the staked tokens and the membership age needed to reach the tier
+     */
+    function getTier(uint256 tier) public view returns (uint256 minStake, uint256 minAge) {
+        minStake = _tierMinStakes[tier.sub(1)];
+        minAge = _tierMinAges[tier.sub(1)];
+    }
+
+    /**
+     * @dev Returns the tier of given address, based on its staked tokens and membership age
+     * @param account Address you want to check
+     * @return uint256 The highest reached tier, zero if not member or if no tier is reached
+     */
+    function tierOf(address account) public view returns (uint256) {
+        if (!isMember(account)) {
+            return 0;
+        }
+
+        uint256 stakedTokens = stakedTokensOf(account);
+        uint256 age = block.timestamp.sub(creationDateOf(account)); // solhint-disable-line not-rely-on-time
+
+        uint256 tier = _tierMinStakes.length;
+
+        while (tier > 0 && (stakedTokens < _tierMinStakes[tier - 1] || age < _tierMinAges[tier - 1])) {
+            tier--;
+        }
+
+        return tier;
+    }
+
     /**
      * @dev Returns if an address is member or not
      * @param account Address of the member you are looking for
@@ -147,6 +794,15 @@ contract DAO is ERC1363Payable, DAORoles {
         return _members.isMember(account);
     }
 
+    /**
+     * @dev Returns if a fingerprint belongs to a member or not
+     * @param fingerprint bytes9 The fingerprint you are looking for
+     * @return bool
+     */
+    function isValidFingerprint(bytes9 fingerprint) public view returns (bool) {
+        return _members.isValidFingerprint(fingerprint);
+    }
+
     /**
      * @dev Get creation date of a member
      * @param account Address you want to check
@@ -165,6 +821,62 @@ contract DAO is ERC1363Payable, DAORoles {
         return _members.stakedTokensOf(account);
     }
 
+    /**
+     * @dev Check how many tokens were staked for given address at a block
+     * @param account Address you want to check
+     * @param blockNumber The block number you want to check. It must be already mined
+     * @return uint256 Member staked tokens at the given block
+     */
+    function stakedTokensAt(address account, uint256 blockNumber) public view returns (uint256) {
+        return _members.stakedTokensAt(account, blockNumber);
+    }
+
+    /**
+     * @dev Check how many tokens were staked in total at a block
+     * @param blockNumber The block number you want to check. It must be already mined
+     * @return uint256 Total staked tokens at the given block
+     */
+    function totalStakedTokensAt(uint256 blockNumber) public view returns (uint256) {
+        return _members.totalStakedTokensAt(blockNumber);
+    }
+
+    /**
+     * @dev Returns the member voting on behalf of given address
+     * @param account Address you want to check
+     * @return address The delegatee address, zero if not delegated
+     */
+    function delegateOf(address account) public view returns (address) {
+        return _members.delegateOf(account);
+    }
+
+    /**
+     * @dev Check how many tokens have been delegated to given address
+     * @param account Address you want to check
+     * @return uint256 Tokens staked by members delegating to the given address
+     */
+    function delegatedTokensOf(address account) public view returns (uint256) {
+        return _members.delegatedTokensOf(account);
+    }
+
+    /**
+     * @dev Check the voting power of given address
+     * @param account Address you want to check
+     * @return uint256 Own staked tokens, if not delegated, plus delegated tokens
+     */
+    function votesOf(address account) public view returns (uint256) {
+        return _members.votesOf(account);
+    }
+
+    /**
+     * @dev Check the voting power of given address at a block
+     * @param account Address you want to check
+     * @param blockNumber The block number you want to check. It must be already mined
+     * @return uint256 Member voting power at the given block
+     */
+    function votesAt(address account, uint256 blockNumber) public view returns (uint256) {
+        return _members.votesAt(account, blockNumber);
+    }
+
     /**
      * @dev Check how many tokens used for given address
      * @param account Address you want to check
@@ -174,6 +886,89 @@ contract DAO is ERC1363Payable, DAORoles {
         return _members.usedTokensOf(account);
     }
 
+    /**
+     * @dev Check how many tokens given address used on a DAPP
+     * @param account Address you want to check
+     * @param dapp Address of the DAPP
+     * @return uint256 Member used tokens on the DAPP
+     */
+    function usedTokensOf(address account, address dapp) public view returns (uint256) {
+        return _members.usedTokensOf(account, dapp);
+    }
+
+    /**
+     * @dev Check how many tokens a DAPP used
+     * @param dapp Address of the DAPP
+     * @return uint256 Tokens used by the DAPP from all the members
+     */
+    function totalUsedBy(address dapp) public view returns (uint256) {
+        return _members.totalUsedBy(dapp);
+    }
+
+    /**
+     * @dev Check how many tokens are waiting to be withdrawn for given address
+     * @param account Address you want to check
+     * @return uint256 Member pending tokens
+     */
+    function pendingTokensOf(address account) public view returns (uint256) {
+        return _members.pendingTokensOf(account);
+    }
+
+    /**
+     * @dev Check when pending tokens can be withdrawn for given address
+     * @param account Address you want to check
+     * @return uint256 Member pending tokens release date
+     */
+    function releaseDateOf(address account) public view returns (uint256) {
+        return _members.releaseDateOf(account);
+    }
+
+    /**
+     * @dev Check how many staked tokens are locked for given address
+     * @param account Address you want to check
+     * @return uint256 Member locked tokens, zero if the lock is expired
+     */
+    function lockedTokensOf(address account) public view returns (uint256) {
+        return _members.lockedTokensOf(account);
+    }
+
+    /**
+     * @dev Check until when staked tokens are locked for given address
+     * @param account Address you want to check
+     * @return uint256 Member lock expiration date
+     */
+    function lockedUntil(address account) public view returns (uint256) {
+        return _members.lockedUntil(account);
+    }
+
+    /**
+     * @dev Check the weight of given address, to be used by DAPPs and governance
+     * @param account Address you want to check
+     * @return uint256 Member staked tokens plus the boost of the active lock
+     */
+    function weightOf(address account) public view returns (uint256) {
+        return _members.weightOf(account);
+    }
+
+    /**
+     * @dev Check how many reward tokens can be claimed by given address
+     * @param account Address you want to check
+     * @return uint256 Member rewards not yet claimed
+     */
+    function earned(address account) public view returns (uint256) {
+        return _members.earned(account);
+    }
+
+    /**
+     * @dev Check how many tokens a DAPP can use on behalf of given address
+     * @param account Address you want to check
+     * @param dapp Address of the DAPP
+     * @return uint256 Remaining allowance, zero if expired
+     */
+    function allowance(address account, address dapp) public view returns (uint256) {
+        return _members.allowance(account, dapp);
+    }
+
     /**
      * @dev Check if an address has been approved
      * @param account Address you want to check
@@ -205,6 +1000,30 @@ contract DAO is ERC1363Payable, DAORoles {
         return getMemberById(_members.addressMap[memberAddress]);
     }
 
+    /**
+     * @dev Returns the member structure, reverting if the fingerprint is not valid
+     * @param memberFingerprint bytes9 Fingerprint of the member you are looking for
+     * @return array
+     */
+    function getMemberByFingerprint(bytes9 memberFingerprint)
+        public
+        view
+        returns (
+            uint256 id,
+            address account,
+            bytes9 fingerprint,
+            uint256 creationDate,
+            uint256 stakedTokens,
+            uint256 usedTokens,
+            bytes32 data,
+            bool approved
+        )
+    {
+        require(isValidFingerprint(memberFingerprint));
+
+        return getMemberById(_members.fingerprintMap[memberFingerprint]);
+    }
+
     /**
      * @dev Returns the member structure
      * @param memberId Id of the member you are looking for
@@ -244,7 +1063,11 @@ contract DAO is ERC1363Payable, DAORoles {
     function recoverERC20(address tokenAddress, uint256 tokenAmount) public onlyOwner {
         if (tokenAddress == address(acceptedToken())) {
             uint256 currentBalance = IERC20(acceptedToken()).balanceOf(address(this));
-            require(currentBalance.sub(_members.totalStakedTokens) >= tokenAmount);
+            uint256 membersTokens = _members.totalStakedTokens
+                .add(_members.totalPendingTokens)
+                .add(_members.totalRewards);
+
+            require(currentBalance.sub(membersTokens) >= tokenAmount);
         }
 
         IERC20(tokenAddress).transfer(owner(), tokenAmount);
@@ -297,12 +1120,85 @@ contract DAO is ERC1363Payable, DAORoles {
         emit MemberAdded(account, memberId);
     }
 
+    /**
+     * @dev Remove a member and transfer back its tokens, clearing any requested migration
+     * @param account Address you want to remove
+     * @param reason string The reason of the removal
+     */
+    function _removeMember(address account, string memory reason) internal {
+        uint256 memberId = _members.addressMap[account];
+        uint256 amount = _members.removeMember(account);
+
+        delete _migrations[account];
+
+        if (amount > 0) {
+            IERC20(acceptedToken()).transfer(account, amount);
+        }
+
+        emit MemberRemoved(account, memberId, reason);
+    }
+
+    /**
+     * @dev Move a membership to a new address, clearing any requested migration
+     * @param account Current address of the member
+     * @param newAccount Address you want to move the membership to
+     */
+    function _migrate(address account, address newAccount) internal {
+        uint256 memberId = _members.migrateMember(account, newAccount);
+
+        delete _migrations[account];
+
+        emit MemberMigrated(account, newAccount, memberId);
+    }
+
+    /**
+     * @dev Emit an event if the tier of an account changed
+     * @param account Address you want to check
+     * @param previousTier uint256 The tier before the change
+     */
+    function _checkTier(address account, uint256 previousTier) internal {
+        uint256 tier = tierOf(account);
+
+        if (tier != previousTier) {
+            emit TierChanged(account, previousTier, tier);
+        }
+    }
+
+
+
+
+    /**
+     * @dev Keep the revenue share of used tokens, sending it to the treasury or distributing it to stakers.
+     * If there is no treasury and no staked tokens, nothing is kept
+     * @param amount Number of used tokens
+     * @return uint256 Number of tokens kept
+     */
+    function _shareRevenue(uint256 amount) internal returns (uint256) {
+        uint256 sharedAmount = amount.mul(revenueShareOf(msg.sender)).div(100);
+
+        if (sharedAmount == 0) {
+            return 0;
+        }
+
+        if (_treasury != address(0)) {
+            IERC20(acceptedToken()).transfer(_treasury, sharedAmount);
+        } else if (_members.totalStakedTokens > 0) {
+            _members.addRewards(sharedAmount);
+        } else {
+            return 0;
+        }
+
+        emit RevenueShared(msg.sender, _treasury, sharedAmount);
+
+        return sharedAmount;
+    }
+
     /**
      * @dev Add tokens to member stack
      * @param account Address you want to stake tokens
      * @param amount Number of tokens to stake
      */
-    function _stake(address account, uint256 amount) internal {
+    function _stake(address account, uint256 amount) internal tracksTier(account) {
         if (!isMember(account)) {
             _newMember(account);
         }
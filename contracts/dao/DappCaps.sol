@@ -0,0 +1,196 @@
+pragma solidity ^0.5.11;
+
+import "@openzeppelin/contracts/math/SafeMath.sol";
+import "./DAO.sol";
+
+/**
+ * @title DappCaps
+ * @author Vittorio Minacori (https://github.com/vittominacori)
+ * @dev It limits the tokens each DAPP can use in each epoch, in total and for each member.
+ * It must be set as the DAO caps, so that DAO accounts every use here. Caps are set by DAO operators.
+ */
+contract DappCaps {
+    using SafeMath for uint256;
+
+    event DappCapChanged(
+        address indexed dapp,
+        uint256 epochLength,
+        uint256 totalCap,
+        uint256 memberCap
+    );
+
+    event DappCapReached(
+        address indexed dapp,
+        uint256 epoch
+    );
+
+    event DappMemberCapReached(
+        address indexed dapp,
+        address indexed account,
+        uint256 epoch
+    );
+
+    // structure defining the tokens a DAPP can use in each epoch, in total and for each member
+    struct DappCap {
+        uint256 epochLength;
+        uint256 totalCap;
+        uint256 memberCap;
+    }
+
+    // the DAO smart contract
+    DAO private _dao;
+
+    // the caps of each DAPP, not capped if epoch length is zero
+    mapping(address => DappCap) private _dappCaps;
+
+    // the tokens used by each DAPP in each epoch, keyed by epoch length so that changing it starts a new usage
+    mapping(address => mapping(uint256 => mapping(uint256 => uint256))) private _dappEpochUsage;
+
+    // the tokens used by each DAPP in each epoch for each member, keyed by epoch length
+    mapping(address => mapping(uint256 => mapping(uint256 => mapping(address => uint256)))) private _memberEpochUsage;
+
+    /**
+     * @dev modifier to allow only DAO operators to do some actions
+     */
+    modifier onlyOperator() {
+        require(_dao.isOperator(msg.sender));
+        _;
+    }
+
+    /**
+     * @dev modifier to allow only the DAO to do some actions
+     */
+    modifier onlyDAO() {
+        require(msg.sender == address(_dao));
+        _;
+    }
+
+    constructor (DAO dao) public {
+        require(address(dao) != address(0));
+
+        _dao = dao;
+    }
+
+    /**
+     * @return the DAO smart contract
+     */
+    function dao() public view returns (DAO) {
+        return _dao;
+    }
+
+    /**
+     * @dev Set the tokens a DAPP can use in each epoch. Zero epoch length removes the caps.
+     * Changing the epoch length starts counting usage from zero
+     * @param dapp Address of the DAPP
+     * @param epochLength uint256 The epoch duration in seconds
+     * @param totalCap uint256 Number of tokens the DAPP can use in each epoch
+     * @param memberCap uint256 Number of tokens the DAPP can use for each member in each epoch
+     */
+    function setDappCap(address dapp, uint256 epochLength, uint256 totalCap, uint256 memberCap) public onlyOperator {
+        _dappCaps[dapp] = DappCap(epochLength, totalCap, memberCap);
+
+        emit DappCapChanged(dapp, epochLength, totalCap, memberCap);
+    }
+
+    /**
+     * @dev Account the tokens used by a DAPP in the current epoch, reverting if caps are exceeded
+     * @param dapp Address of the DAPP
+     * @param account Address of the member
+     * @param amount Number of tokens used
+     */
+    function spend(address dapp, address account, uint256 amount) public onlyDAO {
+        DappCap storage cap = _dappCaps[dapp];
+
+        if (cap.epochLength == 0) {
+            return;
+        }
+
+        uint256 epoch = _epochOf(dapp);
+
+        uint256 dappUsage = _dappEpochUsage[dapp][cap.epochLength][epoch].add(amount);
+        uint256 memberUsage = _memberEpochUsage[dapp][cap.epochLength][epoch][account].add(amount);
+
+        require(dappUsage <= cap.totalCap);
+        require(memberUsage <= cap.memberCap);
+
+        _dappEpochUsage[dapp][cap.epochLength][epoch] = dappUsage;
+        _memberEpochUsage[dapp][cap.epochLength][epoch][account] = memberUsage;
+
+        if (dappUsage == cap.totalCap) {
+            emit DappCapReached(dapp, epoch);
+        }
+
+        if (memberUsage == cap.memberCap) {
+            emit DappMemberCapReached(dapp, account, epoch);
+        }
+    }
+
+    /**
+     * @dev Returns the caps of a DAPP
+     * @param dapp Address of the DAPP
+     * @return the epoch length, the tokens usable in each epoch in total and for each member
+     */
+    function dappCapOf(address dapp) public view returns (uint256 epochLength, uint256 totalCap, uint256 memberCap) {
+        DappCap storage cap = _dappCaps[dapp];
+
+        epochLength = cap.epochLength;
+        totalCap = cap.totalCap;
+        memberCap = cap.memberCap;
+    }
+
+    /**
+     * @dev Returns the tokens a DAPP can still use in the current epoch
+     * @param dapp Address of the DAPP
+     * @return uint256 The remaining budget, max uint256 if not capped, zero if cap was lowered below usage
+     */
+    function remainingDappBudget(address dapp) public view returns (uint256) {
+        DappCap storage cap = _dappCaps[dapp];
+
+        if (cap.epochLength == 0) {
+            return uint256(-1);
+        }
+
+        return _remaining(cap.totalCap, _dappEpochUsage[dapp][cap.epochLength][_epochOf(dapp)]);
+    }
+
+    /**
+     * @dev Returns the tokens a DAPP can still use for a member in the current epoch
+     * @param dapp Address of the DAPP
+     * @param account Address of the member
+     * @return uint256 The remaining budget, max uint256 if not capped, zero if cap was lowered below usage
+     */
+    function remainingMemberBudget(address dapp, address account) public view returns (uint256) {
+        DappCap storage cap = _dappCaps[dapp];
+
+        if (cap.epochLength == 0) {
+            return uint256(-1);
+        }
+
+        uint256 memberBudget = _remaining(
+            cap.memberCap,
+            _memberEpochUsage[dapp][cap.epochLength][_epochOf(dapp)][account]
+        );
+        uint256 dappBudget = remainingDappBudget(dapp);
+
+        return memberBudget < dappBudget ? memberBudget : dappBudget;
+    }
+
+    /**
+     * @dev Returns the current epoch of a capped DAPP
+     * @param dapp Address of the DAPP
+     * @return uint256
+     */
+    function _epochOf(address dapp) internal view returns (uint256) {
+        return block.timestamp.div(_dappCaps[dapp].epochLength); // solhint-disable-line not-rely-on-time
+    }
+
+    /**
+     * @dev Returns the budget left by a usage
+     * @param cap uint256 Number of tokens that can be used
+     * @param usage uint256 Number of tokens used
+     * @return uint256 The remaining budget, zero if usage is not lower than cap
+     */
+    function _remaining(uint256 cap, uint256 usage) internal pure returns (uint256) {
+        return usage < cap ? cap - usage : 0;
+    }
+}
@@ -0,0 +1,240 @@
+pragma solidity ^0.5.11;
+
+import "@openzeppelin/contracts/math/SafeMath.sol";
+import "./DAO.sol";
+
+/**
+ * @title MemberRecovery
+ * @author Vittorio Minacori (https://github.com/vittominacori)
+ * @dev It allows members to register guardians that can jointly recover their membership to a new address.
+ * Approvals are counted for each new address, so a guardian approving a different one can't discard the others.
+ * Once the threshold is reached it requests the migration to the DAO, so it must have the DAO `migrator` role,
+ * that only allows to request migrations.
+ * The member can cancel the migration into the DAO during the migration delay,
+ * so recovery is allowed only if the DAO migration delay is at least the minimum recovery delay.
+ */
+contract MemberRecovery {
+    using SafeMath for uint256;
+
+    event GuardiansChanged(
+        address indexed account,
+        address[] guardians,
+        uint256 threshold
+    );
+
+    event RecoveryApproved(
+        address indexed account,
+        address indexed guardian,
+        address newAccount
+    );
+
+    event RecoveryRequested(
+        address indexed account,
+        address indexed newAccount
+    );
+
+    event RecoveryCancelled(address indexed account);
+
+    // the minimum time the member has to cancel a recovery migration
+    uint256 internal constant MIN_RECOVERY_DELAY = 3 days;
+
+    // the DAO smart contract
+    DAO private _dao;
+
+    // the guardians of each member id
+    mapping(uint256 => address[]) private _guardians;
+
+    // the number of guardians needed to recover each member id
+    mapping(uint256 => uint256) private _thresholds;
+
+    // the round of approvals of each member id, increased when approvals are cleared
+    mapping(uint256 => uint256) private _rounds;
+
+    // the new address approved by each guardian, by member id and round
+    mapping(uint256 => mapping(uint256 => mapping(address => address))) private _approvals;
+
+    // the number of approvals of each new address, by member id and round
+    mapping(uint256 => mapping(uint256 => mapping(address => uint256))) private _approvalCounts;
+
+    /**
+     * @dev modifier to allow only members to do some actions
+     */
+    modifier onlyMember() {
+        require(_dao.isMember(msg.sender));
+        _;
+    }
+
+    constructor (DAO dao) public {
+        require(address(dao) != address(0));
+
+        _dao = dao;
+    }
+
+    /**
+     * @return the DAO smart contract
+     */
+    function dao() public view returns (DAO) {
+        return _dao;
+    }
+
+    /**
+     * @return the minimum time the member has to cancel a recovery migration
+     */
+    function minRecoveryDelay() public pure returns (uint256) {
+        return MIN_RECOVERY_DELAY;
+    }
+
+    /**
+     * @dev Returns the guardians of a member
+     * @param account Address of the member
+     * @return address[]
+     */
+    function guardiansOf(address account) public view returns (address[] memory) {
+        return _guardians[_memberId(account)];
+    }
+
+    /**
+     * @dev Returns the number of guardians needed to recover a member
+     * @param account Address of the member
+     * @return uint256
+     */
+    function thresholdOf(address account) public view returns (uint256) {
+        return _thresholds[_memberId(account)];
+    }
+
+    /**
+     * @dev Check if an address is guardian of a member
+     * @param account Address of the member
+     * @param guardian Address you want to check
+     * @return bool
+     */
+    function isGuardian(address account, address guardian) public view returns (bool) {
+        address[] storage guardians = _guardians[_memberId(account)];
+
+        for (uint256 i = 0; i < guardians.length; i++) {
+            if (guardians[i] == guardian) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * @dev Returns the number of guardians approving the recovery of a member to a new address
+     * @param account Address of the member
+     * @param newAccount Address the membership would be moved to
+     * @return uint256
+     */
+    function approvalsOf(address account, address newAccount) public view returns (uint256) {
+        uint256 memberId = _memberId(account);
+
+        return _approvalCounts[memberId][_rounds[memberId]][newAccount];
+    }
+
+    /**
+     * @dev Returns the new address a guardian approved for the recovery of a member
+     * @param account Address of the member
+     * @param guardian Address you want to check
+     * @return address The approved address, zero if the guardian did not approve
+     */
+    function approvalOf(address account, address guardian) public view returns (address) {
+        uint256 memberId = _memberId(account);
+
+        return _approvals[memberId][_rounds[memberId]][guardian];
+    }
+
+    /**
+     * @dev Set the guardians of sender, cancelling any recovery in progress
+     * @param guardians address[] The guardians. They must be members
+     * @param threshold uint256 The number of guardians needed to recover the membership
+     */
+    function setGuardians(address[] memory guardians, uint256 threshold) public onlyMember {
+        require(threshold > 0 && threshold <= guardians.length);
+
+        for (uint256 i = 0; i < guardians.length; i++) {
+            require(guardians[i] != msg.sender);
+            require(_dao.isMember(guardians[i]));
+
+            for (uint256 j = 0; j < i; j++) {
+                require(guardians[i] != guardians[j]);
+            }
+        }
+
+        uint256 memberId = _memberId(msg.sender);
+
+        _guardians[memberId] = guardians;
+        _thresholds[memberId] = threshold;
+
+        _resetRecovery(memberId);
+
+        emit GuardiansChanged(msg.sender, guardians, threshold);
+    }
+
+    /**
+     * @dev Cancel the recovery in progress of sender, clearing guardians approvals
+     */
+    function cancelRecovery() public onlyMember {
+        _resetRecovery(_memberId(msg.sender));
+
+        emit RecoveryCancelled(msg.sender);
+    }
+
+    /**
+     * @dev Approve the recovery of a member to a new address. Approving a different address moves sender approval.
+     * When the threshold is reached for an address the migration is requested to the DAO
+     * @param account Address of the member
+     * @param newAccount Address you want to move the membership to
+     */
+    function approveRecovery(address account, address newAccount) public onlyMember {
+        require(isGuardian(account, msg.sender));
+        require(newAccount != address(0));
+
+        uint256 memberId = _memberId(account);
+        uint256 round = _rounds[memberId];
+        mapping(address => uint256) storage approvalCounts = _approvalCounts[memberId][round];
+        address previousAccount = _approvals[memberId][round][msg.sender];
+
+        require(previousAccount != newAccount);
+
+        if (previousAccount != address(0)) {
+            approvalCounts[previousAccount] = approvalCounts[previousAccount].sub(1);
+        }
+
+        uint256 approvals = approvalCounts[newAccount].add(1);
+
+        _approvals[memberId][round][msg.sender] = newAccount;
+        approvalCounts[newAccount] = approvals;
+
+        emit RecoveryApproved(account, msg.sender, newAccount);
+
+        if (approvals >= _thresholds[memberId]) {
+            require(_dao.migrationDelay() >= MIN_RECOVERY_DELAY);
+
+            _resetRecovery(memberId);
+
+            _dao.requestMigration(account, newAccount);
+
+            emit RecoveryRequested(account, newAccount);
+        }
+    }
+
+    /**
+     * @dev Returns the id of a member, reverting if it does not exist
+     * @param account Address of the member
+     * @return uint256
+     */
+    function _memberId(address account) internal view returns (uint256) {
+        (uint256 memberId, , , , , , , ) = _dao.getMemberByAddress(account);
+
+        return memberId;
+    }
+
+    /**
+     * @dev Clear the approvals of a member, moving to a new round
+     * @param memberId Id of the member
+     */
+    function _resetRecovery(uint256 memberId) internal {
+        _rounds[memberId] = _rounds[memberId].add(1);
+    }
+}
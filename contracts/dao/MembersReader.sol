@@ -0,0 +1,412 @@
+pragma solidity ^0.5.11;
+
+import "@openzeppelin/contracts/math/SafeMath.sol";
+import "./DAO.sol";
+
+/**
+ * @title MembersReader
+ * @author Vittorio Minacori (https://github.com/vittominacori)
+ * @dev It provides paginated views of the DAO members, returning arrays of the member structure fields.
+ * Pages are windows of member ids, so removed members are included unless filtered by `onlyActive`.
+ * Member data is returned by the `Data` views, with the same members of the related view,
+ * because a single view can't return all the fields.
+ */
+contract MembersReader {
+    using SafeMath for uint256;
+
+    // structure defining a list of members fields
+    struct MemberList {
+        uint256[] ids;
+        address[] accounts;
+        bytes9[] fingerprints;
+        uint256[] creationDates;
+        uint256[] stakedTokens;
+        uint256[] usedTokens;
+        bytes32[] data;
+        bool[] approved;
+        bool[] active;
+    }
+
+    // the DAO smart contract
+    DAO private _dao;
+
+    constructor (DAO dao) public {
+        require(address(dao) != address(0));
+
+        _dao = dao;
+    }
+
+    /**
+     * @return the DAO smart contract
+     */
+    function dao() public view returns (DAO) {
+        return _dao;
+    }
+
+    /**
+     * @dev Returns the members structures in a page
+     * @param offset uint256 Number of member ids to skip
+     * @param limit uint256 Maximum number of member ids to read
+     * @return arrays of members fields
+     */
+    function getMembers(uint256 offset, uint256 limit)
+        public
+        view
+        returns (
+            uint256[] memory ids,
+            address[] memory accounts,
+            bytes9[] memory fingerprints,
+            uint256[] memory creationDates,
+            uint256[] memory stakedTokens,
+            uint256[] memory usedTokens,
+            bool[] memory approved
+        )
+    {
+        MemberList memory list = _getMembers(offset, limit, false, false, 0);
+
+        ids = list.ids;
+        accounts = list.accounts;
+        fingerprints = list.fingerprints;
+        creationDates = list.creationDates;
+        stakedTokens = list.stakedTokens;
+        usedTokens = list.usedTokens;
+        approved = list.approved;
+    }
+
+    /**
+     * @dev Returns the data of the members in a page
+     * @param offset uint256 Number of member ids to skip
+     * @param limit uint256 Maximum number of member ids to read
+     * @return arrays of members ids and data
+     */
+    function getMembersData(uint256 offset, uint256 limit)
+        public
+        view
+        returns (uint256[] memory ids, bytes32[] memory data)
+    {
+        MemberList memory list = _getMembers(offset, limit, false, false, 0);
+
+        ids = list.ids;
+        data = list.data;
+    }
+
+    /**
+     * @dev Returns the structures of members matching the filters in a page
+     * @param offset uint256 Number of member ids to skip
+     * @param limit uint256 Maximum number of member ids to read
+     * @param onlyActive bool If only members not removed must be returned
+     * @param onlyApproved bool If only approved members must be returned
+     * @param minStake uint256 Minimum number of staked tokens
+     * @return arrays of members fields
+     */
+    function getFilteredMembers(
+        uint256 offset,
+        uint256 limit,
+        bool onlyActive,
+        bool onlyApproved,
+        uint256 minStake
+    )
+        public
+        view
+        returns (
+            uint256[] memory ids,
+            address[] memory accounts,
+            bytes9[] memory fingerprints,
+            uint256[] memory creationDates,
+            uint256[] memory stakedTokens,
+            uint256[] memory usedTokens,
+            bool[] memory approved
+        )
+    {
+        MemberList memory list = _getMembers(offset, limit, onlyActive, onlyApproved, minStake);
+
+        ids = list.ids;
+        accounts = list.accounts;
+        fingerprints = list.fingerprints;
+        creationDates = list.creationDates;
+        stakedTokens = list.stakedTokens;
+        usedTokens = list.usedTokens;
+        approved = list.approved;
+    }
+
+    /**
+     * @dev Returns the data of members matching the filters in a page
+     * @param offset uint256 Number of member ids to skip
+     * @param limit uint256 Maximum number of member ids to read
+     * @param onlyActive bool If only members not removed must be returned
+     * @param onlyApproved bool If only approved members must be returned
+     * @param minStake uint256 Minimum number of staked tokens
+     * @return arrays of members ids and data
+     */
+    function getFilteredMembersData(
+        uint256 offset,
+        uint256 limit,
+        bool onlyActive,
+        bool onlyApproved,
+        uint256 minStake
+    )
+        public
+        view
+        returns (uint256[] memory ids, bytes32[] memory data)
+    {
+        MemberList memory list = _getMembers(offset, limit, onlyActive, onlyApproved, minStake);
+
+        ids = list.ids;
+        data = list.data;
+    }
+
+    /**
+     * @dev Returns the members structures of a list of addresses. Fields are empty for not members
+     * @param memberAddresses address[] Addresses of the members you are looking for
+     * @return arrays of members fields
+     */
+    function getMembersByAddresses(address[] memory memberAddresses)
+        public
+        view
+        returns (
+            uint256[] memory ids,
+            address[] memory accounts,
+            bytes9[] memory fingerprints,
+            uint256[] memory creationDates,
+            uint256[] memory stakedTokens,
+            uint256[] memory usedTokens,
+            bool[] memory approved
+        )
+    {
+        MemberList memory list = _getMembersByAddresses(memberAddresses);
+
+        ids = list.ids;
+        accounts = list.accounts;
+        fingerprints = list.fingerprints;
+        creationDates = list.creationDates;
+        stakedTokens = list.stakedTokens;
+        usedTokens = list.usedTokens;
+        approved = list.approved;
+    }
+
+    /**
+     * @dev Returns the data of the members of a list of addresses. Fields are empty for not members
+     * @param memberAddresses address[] Addresses of the members you are looking for
+     * @return arrays of members ids and data
+     */
+    function getMembersDataByAddresses(address[] memory memberAddresses)
+        public
+        view
+        returns (uint256[] memory ids, bytes32[] memory data)
+    {
+        MemberList memory list = _getMembersByAddresses(memberAddresses);
+
+        ids = list.ids;
+        data = list.data;
+    }
+
+    /**
+     * @dev Returns the members in a window of ids matching the filters. Each member is read once
+     * @param offset uint256 Number of member ids to skip
+     * @param limit uint256 Maximum number of member ids to read
+     * @param onlyActive bool If only members not removed must be returned
+     * @param onlyApproved bool If only approved members must be returned
+     * @param minStake uint256 Minimum number of staked tokens
+     * @return MemberList
+     */
+    function _getMembers(
+        uint256 offset,
+        uint256 limit,
+        bool onlyActive,
+        bool onlyApproved,
+        uint256 minStake
+    )
+        internal
+        view
+        returns (MemberList memory)
+    {
+        MemberList memory window = _readWindow(offset, limit);
+
+        uint256 length = 0;
+
+        for (uint256 i = 0; i < window.ids.length; i++) {
+            if (_matches(window, i, onlyActive, onlyApproved, minStake)) {
+                length++;
+            }
+        }
+
+        MemberList memory list = _newList(length);
+        uint256 index = 0;
+
+        for (uint256 i = 0; i < window.ids.length; i++) {
+            if (_matches(window, i, onlyActive, onlyApproved, minStake)) {
+                _copyMember(window, i, list, index);
+                index++;
+            }
+        }
+
+        return list;
+    }
+
+    /**
+     * @dev Returns all the members in a window of ids
+     * @param offset uint256 Number of member ids to skip
+     * @param limit uint256 Maximum number of member ids to read
+     * @return MemberList
+     */
+    function _readWindow(uint256 offset, uint256 limit) internal view returns (MemberList memory) {
+        uint256 last = offset.add(limit);
+
+        if (last > _dao.membersNumber()) {
+            last = _dao.membersNumber();
+        }
+
+        MemberList memory window = _newList(last > offset ? last - offset : 0);
+
+        for (uint256 i = 0; i < window.ids.length; i++) {
+            _readMember(window, i, offset.add(i).add(1));
+        }
+
+        return window;
+    }
+
+    /**
+     * @dev Returns the members of a list of addresses. Fields are empty for not members
+     * @param memberAddresses address[] Addresses of the members you are looking for
+     * @return MemberList
+     */
+    function _getMembersByAddresses(address[] memory memberAddresses) internal view returns (MemberList memory) {
+        MemberList memory list = _newList(memberAddresses.length);
+
+        for (uint256 i = 0; i < memberAddresses.length; i++) {
+            if (_dao.isMember(memberAddresses[i])) {
+                _readMemberByAddress(list, i, memberAddresses[i]);
+            }
+        }
+
+        return list;
+    }
+
+    /**
+     * @dev Check if a member into a list matches the filters
+     * @param list MemberList The list to read
+     * @param index uint256 The position into the list
+     * @param onlyActive bool If the member must not be removed
+     * @param onlyApproved bool If the member must be approved
+     * @param minStake uint256 Minimum number of staked tokens
+     * @return bool
+     */
+    function _matches(
+        MemberList memory list,
+        uint256 index,
+        bool onlyActive,
+        bool onlyApproved,
+        uint256 minStake
+    )
+        internal
+        pure
+        returns (bool)
+    {
+        return (!onlyActive || list.active[index]) &&
+            (!onlyApproved || list.approved[index]) &&
+            list.stakedTokens[index] >= minStake;
+    }
+
+    /**
+     * @dev Store a member structure, read by id, into a list
+     * @param list MemberList The list to fill
+     * @param index uint256 The position into the list
+     * @param memberId Id of the member
+     */
+    function _readMember(MemberList memory list, uint256 index, uint256 memberId) internal view {
+        uint256 id;
+        address account;
+        bytes9 fingerprint;
+        uint256 creationDate;
+        uint256 stakedTokens;
+        uint256 usedTokens;
+        bytes32 data;
+        bool approved;
+
+        (id, account, fingerprint, creationDate, stakedTokens, usedTokens, data, approved) = _dao.getMemberById(
+            memberId
+        );
+
+        list.ids[index] = id;
+        list.accounts[index] = account;
+        list.fingerprints[index] = fingerprint;
+        list.creationDates[index] = creationDate;
+        list.stakedTokens[index] = stakedTokens;
+        list.usedTokens[index] = usedTokens;
+        list.data[index] = data;
+        list.approved[index] = approved;
+        list.active[index] = _dao.isValidFingerprint(fingerprint);
+    }
+
+    /**
+     * @dev Store a member structure, read by address, into a list
+     * @param list MemberList The list to fill
+     * @param index uint256 The position into the list
+     * @param memberAddress Address of the member
+     */
+    function _readMemberByAddress(MemberList memory list, uint256 index, address memberAddress) internal view {
+        uint256 id;
+        address account;
+        bytes9 fingerprint;
+        uint256 creationDate;
+        uint256 stakedTokens;
+        uint256 usedTokens;
+        bytes32 data;
+        bool approved;
+
+        (id, account, fingerprint, creationDate, stakedTokens, usedTokens, data, approved) = _dao.getMemberByAddress(
+            memberAddress
+        );
+
+        list.ids[index] = id;
+        list.accounts[index] = account;
+        list.fingerprints[index] = fingerprint;
+        list.creationDates[index] = creationDate;
+        list.stakedTokens[index] = stakedTokens;
+        list.usedTokens[index] = usedTokens;
+        list.data[index] = data;
+        list.approved[index] = approved;
+        list.active[index] = true;
+    }
+
+    /**
+     * @dev Copy a member structure from a list to another
+     * @param from MemberList The list to read
+     * @param fromIndex uint256 The position into the list to read
+     * @param to MemberList The list to fill
+     * @param toIndex uint256 The position into the list to fill
+     */
+    function _copyMember(MemberList memory from, uint256 fromIndex, MemberList memory to, uint256 toIndex)
+        internal
+        pure
+    {
+        to.ids[toIndex] = from.ids[fromIndex];
+        to.accounts[toIndex] = from.accounts[fromIndex];
+        to.fingerprints[toIndex] = from.fingerprints[fromIndex];
+        to.creationDates[toIndex] = from.creationDates[fromIndex];
+        to.stakedTokens[toIndex] = from.stakedTokens[fromIndex];
+        to.usedTokens[toIndex] = from.usedTokens[fromIndex];
+        to.data[toIndex] = from.data[fromIndex];
+        to.approved[toIndex] = from.approved[fromIndex];
+        to.active[toIndex] = from.active[fromIndex];
+    }
+
+    /**
+     * @dev Create an empty list
+     * @param length uint256 The number of members
+     * @return MemberList
+     */
+    function _newList(uint256 length) internal pure returns (MemberList memory) {
+        return MemberList(
+            new uint256[](length),
+            new address[](length),
+            new bytes9[](length),
+            new uint256[](length),
+            new uint256[](length),
+            new uint256[](length),
+            new bytes32[](length),
+            new bool[](length),
+            new bool[](length)
+        );
+    }
+}
@@ -10,6 +10,12 @@ import "@openzeppelin/contracts/math/SafeMath.sol";
 library Organization {
     using SafeMath for uint256;
 
+    // the maximum duration of a lock, giving the maximum boost
+    uint256 internal constant MAX_LOCK_DURATION = 4 * 365 days;
+
+    // the precision of the reward per token accumulator
+    uint256 private constant REWARD_PRECISION = 1e18;
+
     // structure defining a member
     struct Member {
         uint256 id;
@@ -20,15 +26,47 @@ library Organization {
         uint256 usedTokens;
         bytes32 data;
         bool approved;
+        uint256 delegatee;
+        uint256 delegatedTokens;
+        uint256 pendingTokens;
+        uint256 releaseDate;
+        uint256 lockedTokens;
+        uint256 lockedUntil;
+        uint256 lockBoost;
+        uint256 rewardPerTokenPaid;
+        uint256 rewards;
+    }
+
+    // structure defining a value from a given block
+    struct Checkpoint {
+        uint256 fromBlock;
+        uint256 value;
+    }
+
+    // structure defining the tokens a DAPP can use on behalf of a member
+    struct Allowance {
+        uint256 amount;
+        uint256 expiry;
     }
 
     // structure defining members status
     struct Members {
         uint256 count;
+        uint256 removedCount;
         uint256 totalStakedTokens;
         uint256 totalUsedTokens;
+        uint256 totalPendingTokens;
+        uint256 totalRewards;
+        uint256 rewardPerToken;
         mapping(address => uint256) addressMap;
+        mapping(bytes9 => uint256) fingerprintMap;
         mapping(uint256 => Member) list;
+        mapping(uint256 => Checkpoint[]) stakedTokensHistory;
+        mapping(uint256 => Checkpoint[]) votesHistory;
+        Checkpoint[] totalStakedTokensHistory;
+        mapping(address => mapping(address => Allowance)) allowances;
+        mapping(uint256 => mapping(address => uint256)) dappUsedTokens;
+        mapping(address => uint256) totalDappUsedTokens;
     }
 
     /**
@@ -41,6 +79,18 @@ library Organization {
         return members.addressMap[account] != 0;
     }
 
+    /**
+     * @dev Returns if a fingerprint belongs to a member or not
+     * @param members Current members struct
+     * @param fingerprint bytes9 The fingerprint you are looking for
+     * @return bool
+     */
+    function isValidFingerprint(Members storage members, bytes9 fingerprint) internal view returns (bool) {
+        uint256 memberId = members.fingerprintMap[fingerprint];
+
+        return memberId != 0 && members.addressMap[members.list[memberId].account] == memberId;
+    }
+
     /**
      * @dev Get creation date of a member
      * @param members Current members struct
@@ -65,6 +115,82 @@ library Organization {
         return member.stakedTokens;
     }
 
+    /**
+     * @dev Check how many tokens were staked for given address at a block
+     * @param members Current members struct
+     * @param account Address you want to check
+     * @param blockNumber The block number you want to check
+     * @return uint256 Member staked tokens at the given block
+     */
+    function stakedTokensAt(
+        Members storage members,
+        address account,
+        uint256 blockNumber
+    )
+        internal
+        view
+        returns (uint256)
+    {
+        return getValueAt(members.stakedTokensHistory[members.addressMap[account]], blockNumber);
+    }
+
+    /**
+     * @dev Check how many tokens were staked in total at a block
+     * @param members Current members struct
+     * @param blockNumber The block number you want to check
+     * @return uint256 Total staked tokens at the given block
+     */
+    function totalStakedTokensAt(Members storage members, uint256 blockNumber) internal view returns (uint256) {
+        return getValueAt(members.totalStakedTokensHistory, blockNumber);
+    }
+
+    /**
+     * @dev Returns the member voting on behalf of given address
+     * @param members Current members struct
+     * @param account Address you want to check
+     * @return address The delegatee address, zero if not delegated
+     */
+    function delegateOf(Members storage members, address account) internal view returns (address) {
+        Member storage member = members.list[members.addressMap[account]];
+
+        return members.list[member.delegatee].account;
+    }
+
+    /**
+     * @dev Check how many tokens have been delegated to given address
+     * @param members Current members struct
+     * @param account Address you want to check
+     * @return uint256 Tokens staked by members delegating to the given address
+     */
+    function delegatedTokensOf(Members storage members, address account) internal view returns (uint256) {
+        Member storage member = members.list[members.addressMap[account]];
+
+        return member.delegatedTokens;
+    }
+
+    /**
+     * @dev Check the voting power of given address
+     * @param members Current members struct
+     * @param account Address you want to check
+     * @return uint256 Own staked tokens, if not delegated, plus delegated tokens
+     */
+    function votesOf(Members storage members, address account) internal view returns (uint256) {
+        Member storage member = members.list[members.addressMap[account]];
+
+        return getVotes(member);
+    }
+
+    /**
+     * @dev Check the voting power of given address at a block
+     * @param members Current members struct
+     * @param account Address you want to check
+     * @param blockNumber The block number you want to check
+     * @return uint256 Member voting power at the given block
+     */
+    function votesAt(Members storage members, address account, uint256 blockNumber) internal view returns (uint256) {
+        return getValueAt(members.votesHistory[members.addressMap[account]], blockNumber);
+    }
+
     /**
      * @dev Check how many tokens used for given address
      * @param members Current members struct
@@ -77,6 +203,120 @@ library Organization {
         return member.usedTokens;
     }
 
+    /**
+     * @dev Check how many tokens given address used on a DAPP
+     * @param members Current members struct
+     * @param account Address you want to check
+     * @param dapp Address of the DAPP
+     * @return uint256 Member used tokens on the DAPP
+     */
+    function usedTokensOf(Members storage members, address account, address dapp) internal view returns (uint256) {
+        return members.dappUsedTokens[members.addressMap[account]][dapp];
+    }
+
+    /**
+     * @dev Check how many tokens a DAPP used
+     * @param members Current members struct
+     * @param dapp Address of the DAPP
+     * @return uint256 Tokens used by the DAPP from all the members
+     */
+    function totalUsedBy(Members storage members, address dapp) internal view returns (uint256) {
+        return members.totalDappUsedTokens[dapp];
+    }
+
+    /**
+     * @dev Check how many tokens are waiting to be withdrawn for given address
+     * @param members Current members struct
+     * @param account Address you want to check
+     * @return uint256 Member pending tokens
+     */
+    function pendingTokensOf(Members storage members, address account) internal view returns (uint256) {
+        Member storage member = members.list[members.addressMap[account]];
+
+        return member.pendingTokens;
+    }
+
+    /**
+     * @dev Check when pending tokens can be withdrawn for given address
+     * @param members Current members struct
+     * @param account Address you want to check
+     * @return uint256 Member pending tokens release date
+     */
+    function releaseDateOf(Members storage members, address account) internal view returns (uint256) {
+        Member storage member = members.list[members.addressMap[account]];
+
+        return member.releaseDate;
+    }
+
+    /**
+     * @dev Check how many staked tokens are locked for given address
+     * @param members Current members struct
+     * @param account Address you want to check
+     * @return uint256 Member locked tokens, zero if the lock is expired
+     */
+    function lockedTokensOf(Members storage members, address account) internal view returns (uint256) {
+        Member storage member = members.list[members.addressMap[account]];
+
+        return getLockedTokens(member);
+    }
+
+    /**
+     * @dev Check until when staked tokens are locked for given address
+     * @param members Current members struct
+     * @param account Address you want to check
+     * @return uint256 Member lock expiration date
+     */
+    function lockedUntil(Members storage members, address account) internal view returns (uint256) {
+        Member storage member = members.list[members.addressMap[account]];
+
+        return member.lockedUntil;
+    }
+
+    /**
+     * @dev Check the weight of given address
+     * @param members Current members struct
+     * @param account Address you want to check
+     * @return uint256 Member staked tokens plus the boost of the active lock
+     */
+    function weightOf(Members storage members, address account) internal view returns (uint256) {
+        Member storage member = members.list[members.addressMap[account]];
+
+        if (getLockedTokens(member) == 0) {
+            return member.stakedTokens;
+        }
+
+        return member.stakedTokens.add(member.lockBoost);
+    }
+
+    /**
+     * @dev Check how many reward tokens can be claimed by given address
+     * @param members Current members struct
+     * @param account Address you want to check
+     * @return uint256 Member rewards not yet claimed
+     */
+    function earned(Members storage members, address account) internal view returns (uint256) {
+        Member storage member = members.list[members.addressMap[account]];
+
+        return getEarned(members, member);
+    }
+
+    /**
+     * @dev Check how many tokens a DAPP can use on behalf of given address
+     * @param members Current members struct
+     * @param account Address you want to check
+     * @param dapp Address of the DAPP
+     * @return uint256 Remaining allowance, zero if expired
+     */
+    function allowance(Members storage members, address account, address dapp) internal view returns (uint256) {
+        Allowance storage structure = members.allowances[account][dapp];
+
+        if (structure.expiry != 0 && block.timestamp >= structure.expiry) { // solhint-disable-line not-rely-on-time
+            return 0;
+        }
+
+        return structure.amount;
+    }
+
     /**
      * @dev Check if an address has been approved
      * @param members Current members struct
@@ -116,7 +356,10 @@ library Organization {
         uint256 memberId = members.count.add(1);
         bytes9 fingerprint = getFingerprint(account, memberId);
 
+        require(members.fingerprintMap[fingerprint] == 0);
+
         members.addressMap[account] = memberId;
+        members.fingerprintMap[fingerprint] = memberId;
         members.list[memberId] = Member(
             memberId,
             account,
@@ -125,7 +368,16 @@ library Organization {
             0,
             0,
             "",
-            false
+            false,
+            0,
+            0,
+            0,
+            0,
+            0,
+            0,
+            0,
+            members.rewardPerToken,
+            0
         );
 
         members.count = memberId;
@@ -133,6 +385,68 @@ library Organization {
         return memberId;
     }
 
+    /**
+     * @dev Remove a member, keeping its structure and id but releasing its address.
+     * Staked tokens, pending tokens and rewards are cleared and returned to be transferred back.
+     * Delegations to the removed member are kept until cleared, see `clearDelegation`
+     * @param members Current members struct
+     * @param account Address you want to remove
+     * @return uint256 Number of tokens to give back to the removed address
+     */
+    function removeMember(Members storage members, address account) internal returns (uint256) {
+        require(isMember(members, account));
+
+        Member storage member = members.list[members.addressMap[account]];
+
+        if (member.delegatee != 0) {
+            moveDelegation(members, member, 0);
+        }
+
+        uint256 stakedTokens = member.stakedTokens;
+
+        decreaseStakedTokens(members, member, stakedTokens);
+
+        uint256 amount = stakedTokens.add(member.pendingTokens).add(member.rewards);
+
+        members.totalPendingTokens = members.totalPendingTokens.sub(member.pendingTokens);
+        members.totalRewards = members.totalRewards.sub(member.rewards);
+
+        member.pendingTokens = 0;
+        member.releaseDate = 0;
+        member.rewards = 0;
+        member.lockedTokens = 0;
+        member.lockedUntil = 0;
+        member.lockBoost = 0;
+        member.approved = false;
+
+        delete members.addressMap[account];
+        members.removedCount = members.removedCount.add(1);
+
+        return amount;
+    }
+
+    /**
+     * @dev Move a member to a new address, preserving its structure, id and creation date
+     * @param members Current members struct
+     * @param account Current address of the member
+     * @param newAccount Address you want to move the member to
+     * @return uint256 The member id
+     */
+    function migrateMember(Members storage members, address account, address newAccount) internal returns (uint256) {
+        require(isMember(members, account));
+        require(newAccount != address(0));
+        require(!isMember(members, newAccount));
+
+        uint256 memberId = members.addressMap[account];
+
+        members.list[memberId].account = newAccount;
+        members.addressMap[newAccount] = memberId;
+
+        delete members.addressMap[account];
+
+        return memberId;
+    }
+
     /**
      * @dev Add tokens to member stack
      * @param members Current members struct
@@ -144,8 +458,7 @@ library Organization {
 
         Member storage member = members.list[members.addressMap[account]];
 
-        member.stakedTokens = member.stakedTokens.add(amount);
-        members.totalStakedTokens = members.totalStakedTokens.add(amount);
+        increaseStakedTokens(members, member, amount);
     }
 
     /**
@@ -159,30 +472,203 @@ library Organization {
 
         Member storage member = members.list[members.addressMap[account]];
 
-        require(member.stakedTokens >= amount);
+        require(member.stakedTokens.sub(getLockedTokens(member)) >= amount);
 
-        member.stakedTokens = member.stakedTokens.sub(amount);
-        members.totalStakedTokens = members.totalStakedTokens.sub(amount);
+        decreaseStakedTokens(members, member, amount);
+    }
+
+    /**
+     * @dev Move tokens from member stack to pending tokens.
+     * Requesting again adds tokens to pending ones and postpones the release date
+     * @param members Current members struct
+     * @param account Address you want to unstake tokens
+     * @param amount Number of tokens to unstake
+     * @param releaseDate The date after which pending tokens can be withdrawn
+     */
+    function requestUnstake(Members storage members, address account, uint256 amount, uint256 releaseDate) internal {
+        require(isMember(members, account));
+
+        Member storage member = members.list[members.addressMap[account]];
+
+        require(member.stakedTokens.sub(getLockedTokens(member)) >= amount);
+
+        decreaseStakedTokens(members, member, amount);
+
+        member.pendingTokens = member.pendingTokens.add(amount);
+        member.releaseDate = releaseDate;
+        members.totalPendingTokens = members.totalPendingTokens.add(amount);
+    }
+
+    /**
+     * @dev Release member pending tokens
+     * @param members Current members struct
+     * @param account Address you want to withdraw tokens
+     * @return uint256 Number of released tokens
+     */
+    function withdraw(Members storage members, address account) internal returns (uint256) {
+        require(isMember(members, account));
+
+        Member storage member = members.list[members.addressMap[account]];
+
+        require(member.pendingTokens > 0);
+        require(block.timestamp >= member.releaseDate); // solhint-disable-line not-rely-on-time
+
+        uint256 amount = member.pendingTokens;
+
+        member.pendingTokens = 0;
+        member.releaseDate = 0;
+        members.totalPendingTokens = members.totalPendingTokens.sub(amount);
+
+        return amount;
     }
 
     /**
      * @dev Use tokens from member stack
      * @param members Current members struct
      * @param account Address you want to use tokens
+     * @param dapp Address of the DAPP using tokens
      * @param amount Number of tokens to use
      */
-    function use(Members storage members, address account, uint256 amount) internal {
+    function use(Members storage members, address account, address dapp, uint256 amount) internal {
         require(isMember(members, account));
 
         Member storage member = members.list[members.addressMap[account]];
 
-        require(member.stakedTokens >= amount);
+        require(member.stakedTokens.sub(getLockedTokens(member)) >= amount);
 
-        member.stakedTokens = member.stakedTokens.sub(amount);
-        members.totalStakedTokens = members.totalStakedTokens.sub(amount);
+        decreaseStakedTokens(members, member, amount);
 
         member.usedTokens = member.usedTokens.add(amount);
         members.totalUsedTokens = members.totalUsedTokens.add(amount);
+
+        members.dappUsedTokens[member.id][dapp] = members.dappUsedTokens[member.id][dapp].add(amount);
+        members.totalDappUsedTokens[dapp] = members.totalDappUsedTokens[dapp].add(amount);
+    }
+
+    /**
+     * @dev Give back used tokens to member stack
+     * @param members Current members struct
+     * @param account Address you want to refund tokens
+     * @param dapp Address of the DAPP refunding tokens. It can refund only tokens it used
+     * @param amount Number of tokens to refund
+     */
+    function refund(Members storage members, address account, address dapp, uint256 amount) internal {
+        require(isMember(members, account));
+
+        Member storage member = members.list[members.addressMap[account]];
+
+        require(member.usedTokens >= amount);
+
+        member.usedTokens = member.usedTokens.sub(amount);
+        members.totalUsedTokens = members.totalUsedTokens.sub(amount);
+
+        members.dappUsedTokens[member.id][dapp] = members.dappUsedTokens[member.id][dapp].sub(amount);
+        members.totalDappUsedTokens[dapp] = members.totalDappUsedTokens[dapp].sub(amount);
+
+        increaseStakedTokens(members, member, amount);
+    }
+
+    /**
+     * @dev Lock staked tokens until a given date, boosting member weight.
+     * The boost is proportional to the lock duration, doubling locked tokens at the maximum duration.
+     * Locking again adds tokens to the active lock and can only extend its expiration date
+     * @param members Current members struct
+     * @param account Address you want to lock tokens
+     * @param amount Number of tokens to add to the lock
+     * @param until The date until which tokens are locked
+     */
+    function lock(Members storage members, address account, uint256 amount, uint256 until) internal {
+        require(isMember(members, account));
+
+        Member storage member = members.list[members.addressMap[account]];
+
+        uint256 lockedTokens = getLockedTokens(member).add(amount);
+
+        require(lockedTokens > 0);
+        require(member.stakedTokens >= lockedTokens);
+        require(until >= member.lockedUntil);
+
+        uint256 duration = until.sub(block.timestamp); // solhint-disable-line not-rely-on-time
+
+        require(duration > 0 && duration <= MAX_LOCK_DURATION);
+
+        member.lockedTokens = lockedTokens;
+        member.lockedUntil = until;
+        member.lockBoost = lockedTokens.mul(duration).div(MAX_LOCK_DURATION);
+    }
+
+    /**
+     * @dev Distribute reward tokens to members pro-rata to their staked tokens
+     * @param members Current members struct
+     * @param amount Number of reward tokens to distribute
+     */
+    function addRewards(Members storage members, uint256 amount) internal {
+        require(members.totalStakedTokens > 0);
+
+        members.rewardPerToken = members.rewardPerToken.add(
+            amount.mul(REWARD_PRECISION).div(members.totalStakedTokens)
+        );
+        members.totalRewards = members.totalRewards.add(amount);
+    }
+
+    /**
+     * @dev Release member rewards
+     * @param members Current members struct
+     * @param account Address you want to claim rewards
+     * @return uint256 Number of claimed reward tokens
+     */
+    function claimRewards(Members storage members, address account) internal returns (uint256) {
+        require(isMember(members, account));
+
+        Member storage member = members.list[members.addressMap[account]];
+
+        updateRewards(members, member);
+
+        uint256 amount = member.rewards;
+
+        require(amount > 0);
+
+        member.rewards = 0;
+        members.totalRewards = members.totalRewards.sub(amount);
+
+        return amount;
+    }
+
+    /**
+     * @dev Set the tokens a DAPP can use on behalf of an address
+     * @param members Current members struct
+     * @param account Address granting the allowance
+     * @param dapp Address of the DAPP
+     * @param amount Number of tokens the DAPP can use
+     * @param expiry The date after which the allowance is not valid, zero for no expiry
+     */
+    function setAllowance(
+        Members storage members,
+        address account,
+        address dapp,
+        uint256 amount,
+        uint256 expiry
+    )
+        internal
+    {
+        require(dapp != address(0));
+
+        members.allowances[account][dapp] = Allowance(amount, expiry);
+    }
+
+    /**
+     * @dev Decrease the tokens a DAPP can use on behalf of an address
+     * @param members Current members struct
+     * @param account Address whose tokens are used
+     * @param dapp Address of the DAPP
+     * @param amount Number of tokens used
+     */
+    function spendAllowance(Members storage members, address account, address dapp, uint256 amount) internal {
+        require(allowance(members, account, dapp) >= amount);
+
+        Allowance storage structure = members.allowances[account][dapp];
+
+        structure.amount = structure.amount.sub(amount);
     }
 
     /**
@@ -213,6 +699,238 @@ library Organization {
         member.data = data;
     }
 
+    /**
+     * @dev Delegate the voting power of a member to another member
+     * @param members Current members struct
+     * @param account Address delegating its voting power
+     * @param delegatee Address of the member voting on behalf
+     */
+    function delegate(Members storage members, address account, address delegatee) internal {
+        require(isMember(members, account));
+        require(isMember(members, delegatee));
+        require(account != delegatee);
+
+        Member storage member = members.list[members.addressMap[account]];
+
+        moveDelegation(members, member, members.addressMap[delegatee]);
+    }
+
+    /**
+     * @dev Revoke the delegation of a member voting power
+     * @param members Current members struct
+     * @param account Address revoking its delegation
+     */
+    function undelegate(Members storage members, address account) internal {
+        require(isMember(members, account));
+
+        Member storage member = members.list[members.addressMap[account]];
+
+        require(member.delegatee != 0);
+
+        moveDelegation(members, member, 0);
+    }
+
+    /**
+     * @dev Revoke the delegation of a member to a removed member, giving back its voting power
+     * @param members Current members struct
+     * @param account Address of the delegating member
+     */
+    function clearDelegation(Members storage members, address account) internal {
+        require(isMember(members, account));
+
+        Member storage member = members.list[members.addressMap[account]];
+
+        require(member.delegatee != 0);
+        require(members.addressMap[members.list[member.delegatee].account] != member.delegatee);
+
+        moveDelegation(members, member, 0);
+    }
+
+    /**
+     * @dev Add tokens to member stack, updating delegatee and history
+     * @param members Current members struct
+     * @param member The member whose staked tokens change
+     * @param amount Number of tokens to add
+     */
+    function increaseStakedTokens(Members storage members, Member storage member, uint256 amount) private {
+        updateRewards(members, member);
+
+        member.stakedTokens = member.stakedTokens.add(amount);
+        members.totalStakedTokens = members.totalStakedTokens.add(amount);
+
+        if (member.delegatee != 0) {
+            Member storage delegatee = members.list[member.delegatee];
+
+            delegatee.delegatedTokens = delegatee.delegatedTokens.add(amount);
+        }
+
+        updateCheckpoints(members, member);
+    }
+
+    /**
+     * @dev Remove tokens from member stack, updating delegatee and history
+     * @param members Current members struct
+     * @param member The member whose staked tokens change
+     * @param amount Number of tokens to remove
+     */
+    function decreaseStakedTokens(Members storage members, Member storage member, uint256 amount) private {
+        updateRewards(members, member);
+
+        member.stakedTokens = member.stakedTokens.sub(amount);
+        members.totalStakedTokens = members.totalStakedTokens.sub(amount);
+
+        if (member.delegatee != 0) {
+            Member storage delegatee = members.list[member.delegatee];
+
+            delegatee.delegatedTokens = delegatee.delegatedTokens.sub(amount);
+        }
+
+        updateCheckpoints(members, member);
+    }
+
+    /**
+     * @dev Move the member staked tokens from the current delegatee to a new one
+     * @param members Current members struct
+     * @param member The member changing delegation
+     * @param delegateeId Id of the new delegatee, zero to vote by itself
+     */
+    function moveDelegation(Members storage members, Member storage member, uint256 delegateeId) private {
+        require(member.delegatee != delegateeId);
+
+        if (member.delegatee != 0) {
+            Member storage previous = members.list[member.delegatee];
+
+            previous.delegatedTokens = previous.delegatedTokens.sub(member.stakedTokens);
+            writeCheckpoint(members.votesHistory[previous.id], getVotes(previous));
+        }
+
+        member.delegatee = delegateeId;
+
+        if (delegateeId != 0) {
+            Member storage next = members.list[delegateeId];
+
+            next.delegatedTokens = next.delegatedTokens.add(member.stakedTokens);
+            writeCheckpoint(members.votesHistory[next.id], getVotes(next));
+        }
+
+        writeCheckpoint(members.votesHistory[member.id], getVotes(member));
+    }
+
+    /**
+     * @dev Store the current member, delegatee and total staked tokens into history
+     * @param members Current members struct
+     * @param member The member whose staked tokens changed
+     */
+    function updateCheckpoints(Members storage members, Member storage member) private {
+        writeCheckpoint(members.stakedTokensHistory[member.id], member.stakedTokens);
+        writeCheckpoint(members.totalStakedTokensHistory, members.totalStakedTokens);
+        writeCheckpoint(members.votesHistory[member.id], getVotes(member));
+
+        if (member.delegatee != 0) {
+            Member storage delegatee = members.list[member.delegatee];
+
+            writeCheckpoint(members.votesHistory[delegatee.id], getVotes(delegatee));
+        }
+    }
+
+    /**
+     * @dev Returns the voting power of a member
+     * @param member The member you want to check
+     * @return uint256 Own staked tokens, if not delegated, plus delegated tokens
+     */
+    function getVotes(Member storage member) private view returns (uint256) {
+        if (member.delegatee != 0) {
+            return member.delegatedTokens;
+        }
+
+        return member.stakedTokens.add(member.delegatedTokens);
+    }
+
+    /**
+     * @dev Store member rewards earned until now, before its staked tokens change
+     * @param members Current members struct
+     * @param member The member you want to update
+     */
+    function updateRewards(Members storage members, Member storage member) private {
+        member.rewards = getEarned(members, member);
+        member.rewardPerTokenPaid = members.rewardPerToken;
+    }
+
+    /**
+     * @dev Returns the rewards earned by a member
+     * @param members Current members struct
+     * @param member The member you want to check
+     * @return uint256 Stored rewards plus the ones earned by staked tokens since last update
+     */
+    function getEarned(Members storage members, Member storage member) private view returns (uint256) {
+        uint256 rewardPerToken = members.rewardPerToken.sub(member.rewardPerTokenPaid);
+
+        return member.rewards.add(member.stakedTokens.mul(rewardPerToken).div(REWARD_PRECISION));
+    }
+
+    /**
+     * @dev Returns the locked tokens of a member
+     * @param member The member you want to check
+     * @return uint256 Locked tokens, zero if the lock is expired
+     */
+    function getLockedTokens(Member storage member) private view returns (uint256) {
+        if (block.timestamp >= member.lockedUntil) { // solhint-disable-line not-rely-on-time
+            return 0;
+        }
+
+        return member.lockedTokens;
+    }
+
+    /**
+     * @dev Store a value for the current block
+     * @param checkpoints The history of the value
+     * @param value The new value
+     */
+    function writeCheckpoint(Checkpoint[] storage checkpoints, uint256 value) private {
+        uint256 length = checkpoints.length;
+
+        if (length > 0 && checkpoints[length - 1].fromBlock == block.number) {
+            checkpoints[length - 1].value = value;
+        } else {
+            checkpoints.push(Checkpoint(block.number, value));
+        }
+    }
+
+    /**
+     * @dev Returns a value at a given block, using a binary search into history
+     * @param checkpoints The history of the value
+     * @param blockNumber The block number you want to check
+     * @return uint256 The value at the given block
+     */
+    function getValueAt(Checkpoint[] storage checkpoints, uint256 blockNumber) private view returns (uint256) {
+        require(blockNumber < block.number);
+
+        uint256 length = checkpoints.length;
+
+        if (length == 0 || checkpoints[0].fromBlock > blockNumber) {
+            return 0;
+        }
+
+        if (checkpoints[length - 1].fromBlock <= blockNumber) {
+            return checkpoints[length - 1].value;
+        }
+
+        uint256 low = 0;
+        uint256 high = length - 1;
+
+        while (high > low) {
+            uint256 mid = high.sub(high.sub(low).div(2));
+
+            if (checkpoints[mid].fromBlock <= blockNumber) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        return checkpoints[low].value;
+    }
+
     /**
      * @dev Generate a member fingerprint
      * @param account Address you want to make member
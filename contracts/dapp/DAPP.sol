@@ -1,8 +1,90 @@
 pragma solidity ^0.5.11;
 
+import "@openzeppelin/contracts/math/SafeMath.sol";
+import "@openzeppelin/contracts/ownership/Ownable.sol";
 import "../dao/DAO.sol";
 
-contract DAPP {
+contract DAPP is Ownable {
+    using SafeMath for uint256;
+
+    event FeeChangeRequested(
+        uint256 newFee,
+        uint256 eta
+    );
+
+    event FeeChangeCancelled(uint256 newFee);
+
+    event FeeChanged(
+        uint256 previousFee,
+        uint256 newFee
+    );
+
+    event WalletChanged(address indexed wallet);
+
+    event FeesCollected(
+        address indexed account,
+        uint256 value
+    );
+
+    event TokensWithdrawn(
+        address indexed to,
+        uint256 value
+    );
+
+    event SubscriptionChanged(
+        uint256 price,
+        uint256 period
+    );
+
+    event Subscribed(
+        address indexed account,
+        uint256 expiry
+    );
+
+    event AutoRenewChanged(
+        address indexed account,
+        bool enabled
+    );
+
+    event ReservationOpened(
+        address indexed account,
+        uint256 amount,
+        uint256 expiry
+    );
+
+    event ReservationConsumed(
+        address indexed account,
+        uint256 value
+    );
+
+    event ReservationClosed(
+        address indexed account,
+        uint256 consumed,
+        uint256 refunded
+    );
+
+    event ApprovedDiscountChanged(uint256 discount);
+
+    event TierDiscountChanged(
+        uint256 indexed tier,
+        uint256 discount
+    );
+
+    // structure defining a requested fee change
+    struct FeeChange {
+        uint256 newFee;
+        uint256 eta;
+    }
+
+    // structure defining tokens held in escrow for a member
+    struct Reservation {
+        uint256 amount;
+        uint256 consumed;
+        uint256 expiry;
+    }
+
+    // the notice period before a fee change can be applied
+    uint256 internal constant FEE_CHANGE_DELAY = 7 days;
 
     // the DAO smart contract
     DAO private _dao;
@@ -10,22 +92,61 @@ contract DAPP {
     // the token fixed fee to use dapp
     uint256 private _fee;
 
+    // the fee change waiting for the notice period
+    FeeChange private _pendingFeeChange;
+
+    // the wallet where collected tokens are forwarded to, if set
+    address private _wallet;
+
+    // the total amount of tokens collected by dapp, net of refunds
+    uint256 private _collectedTokens;
+
+    // the token price of a subscription pass
+    uint256 private _subscriptionPrice;
+
+    // the duration of a subscription pass, zero if subscriptions are disabled
+    uint256 private _subscriptionPeriod;
+
+    // the subscription expiry date of each account
+    mapping(address => uint256) private _subscriptionExpiries;
+
+    // the version of the subscription pass, increased every time price or period change
+    uint256 private _subscriptionVersion;
+
+    // if subscription of each account must be renewed once expired
+    mapping(address => bool) private _autoRenews;
+
+    // the subscription pass version each account agreed to renew
+    mapping(address => uint256) private _autoRenewVersions;
+
+    // the open reservation of each account
+    mapping(address => Reservation) private _reservations;
+
+    // the total amount of tokens held in escrow for open reservations
+    uint256 private _reservedTokens;
+
+    // the fee percentage discount for approved members
+    uint256 private _approvedDiscount;
+
+    // the fee percentage discount for each DAO tier
+    mapping(uint256 => uint256) private _tierDiscounts;
+
     /**
-     * @dev fee tokens will be transferred into this.
-     * Transfer to a deposit wallet after useFee or add a withdraw tokens function.
+     * @dev fee tokens, discounted for sender, will be collected by this.
+     * They are forwarded to wallet if set, otherwise they can be withdrawn by owner.
      */
     modifier useFee() {
-        _dao.use(msg.sender, _fee);
+        _use(msg.sender, feeFor(msg.sender));
         _;
     }
 
     /**
-     * @dev the amount of tokens will be transferred into this.
-     * Transfer to a deposit wallet after useTokens or add a withdraw tokens function.
+     * @dev the amount of tokens will be collected by this.
+     * They are forwarded to wallet if set, otherwise they can be withdrawn by owner.
      * @param amount Number of tokens to use
      */
     modifier useTokens(uint256 amount) {
-        _dao.use(msg.sender, amount);
+        _use(msg.sender, amount);
         _;
     }
 
@@ -45,6 +166,49 @@ contract DAPP {
         _;
     }
 
+    /**
+     * @dev modifier to allow only members since a given time to do some actions
+     * @param duration uint256 Minimum membership age in seconds
+     */
+    modifier onlyMemberSince(uint256 duration) {
+        require(_dao.isMember(msg.sender), "DAPP: caller is not member");
+        require(isMemberSince(msg.sender, duration), "DAPP: membership is too recent");
+        _;
+    }
+
+    /**
+     * @dev modifier to allow only members with a minimum stake to do some actions
+     * @param minAmount uint256 Minimum number of staked tokens
+     */
+    modifier onlyStakers(uint256 minAmount) {
+        require(_dao.isMember(msg.sender), "DAPP: caller is not member");
+        require(hasStake(msg.sender, minAmount), "DAPP: staked tokens are not enough");
+        _;
+    }
+
+    /**
+     * @dev modifier to allow only approved members with a minimum stake to do some actions
+     * @param minAmount uint256 Minimum number of staked tokens
+     */
+    modifier onlyApprovedWithStake(uint256 minAmount) {
+        require(_dao.isApproved(msg.sender), "DAPP: caller is not approved");
+        require(hasStake(msg.sender, minAmount), "DAPP: staked tokens are not enough");
+        _;
+    }
+
+    /**
+     * @dev modifier to allow only subscribers to do some actions.
+     * An expired subscription is renewed first, if sender enabled auto renew
+     */
+    modifier onlySubscriber() {
+        if (!isSubscriber(msg.sender) && autoRenewOf(msg.sender)) {
+            _subscribe(msg.sender);
+        }
+
+        require(isSubscriber(msg.sender));
+        _;
+    }
+
     constructor (DAO dao, uint256 fee) public {
         require(address(dao) != address(0));
 
@@ -65,4 +229,465 @@ contract DAPP {
     function fee() public view returns (uint256) {
         return _fee;
     }
+
+    /**
+     * @return the notice period before a fee change can be applied
+     */
+    function feeChangeDelay() public pure returns (uint256) {
+        return FEE_CHANGE_DELAY;
+    }
+
+    /**
+     * @return the requested fee and the date it can be applied from. Eta is zero if there is no request
+     */
+    function pendingFeeChange() public view returns (uint256 newFee, uint256 eta) {
+        newFee = _pendingFeeChange.newFee;
+        eta = _pendingFeeChange.eta;
+    }
+
+    /**
+     * @dev Request a fee change. It can be applied after the notice period, replacing any previous request
+     * @param newFee uint256 The new token fee to use dapp
+     */
+    function requestFeeChange(uint256 newFee) public onlyOwner {
+        uint256 eta = block.timestamp.add(FEE_CHANGE_DELAY); // solhint-disable-line not-rely-on-time
+
+        _pendingFeeChange = FeeChange(newFee, eta);
+
+        emit FeeChangeRequested(newFee, eta);
+    }
+
+    /**
+     * @dev Cancel the requested fee change
+     */
+    function cancelFeeChange() public onlyOwner {
+        require(_pendingFeeChange.eta != 0);
+
+        uint256 newFee = _pendingFeeChange.newFee;
+
+        delete _pendingFeeChange;
+
+        emit FeeChangeCancelled(newFee);
+    }
+
+    /**
+     * @dev Apply the requested fee change after the notice period. Anyone can call this
+     */
+    function applyFeeChange() public {
+        require(_pendingFeeChange.eta != 0);
+        require(block.timestamp >= _pendingFeeChange.eta); // solhint-disable-line not-rely-on-time
+
+        uint256 previousFee = _fee;
+
+        _fee = _pendingFeeChange.newFee;
+
+        delete _pendingFeeChange;
+
+        emit FeeChanged(previousFee, _fee);
+    }
+
+    /**
+     * @return the wallet where collected tokens are forwarded to
+     */
+    function wallet() public view returns (address) {
+        return _wallet;
+    }
+
+    /**
+     * @return the total amount of tokens collected by dapp, net of refunds
+     */
+    function collectedTokens() public view returns (uint256) {
+        return _collectedTokens;
+    }
+
+    /**
+     * @dev Set the wallet where collected tokens are forwarded to. Zero address keeps tokens into this
+     * @param newWallet Address of the wallet
+     */
+    function setWallet(address newWallet) public onlyOwner {
+        _wallet = newWallet;
+
+        emit WalletChanged(newWallet);
+    }
+
+    /**
+     * @dev Withdraw tokens held by this, excluding the ones reserved
+     * @param to Address receiving the tokens
+     * @param amount Number of tokens to withdraw
+     */
+    function withdrawTokens(address to, uint256 amount) public onlyOwner {
+        require(to != address(0));
+
+        IERC20 token = IERC20(_dao.acceptedToken());
+
+        require(token.balanceOf(address(this)).sub(_reservedTokens) >= amount);
+
+        token.transfer(to, amount);
+
+        emit TokensWithdrawn(to, amount);
+    }
+
+    /**
+     * @dev Check if an account is member since at least a given time
+     * @param account Address you want to check
+     * @param duration uint256 Minimum membership age in seconds
+     * @return bool
+     */
+    function isMemberSince(address account, uint256 duration) public view returns (bool) {
+        return _dao.isMember(account) &&
+            _dao.creationDateOf(account).add(duration) <= block.timestamp; // solhint-disable-line not-rely-on-time
+    }
+
+    /**
+     * @dev Check if an account has at least a given number of staked tokens
+     * @param account Address you want to check
+     * @param minAmount uint256 Minimum number of staked tokens
+     * @return bool
+     */
+    function hasStake(address account, uint256 minAmount) public view returns (bool) {
+        return _dao.isMember(account) && _dao.stakedTokensOf(account) >= minAmount;
+    }
+
+    /**
+     * @return the token price of a subscription pass
+     */
+    function subscriptionPrice() public view returns (uint256) {
+        return _subscriptionPrice;
+    }
+
+    /**
+     * @return the duration of a subscription pass
+     */
+    function subscriptionPeriod() public view returns (uint256) {
+        return _subscriptionPeriod;
+    }
+
+    /**
+     * @param account Address you want to check
+     * @return the subscription expiry date of an account
+     */
+    function subscriptionExpiry(address account) public view returns (uint256) {
+        return _subscriptionExpiries[account];
+    }
+
+    /**
+     * @param account Address you want to check
+     * @return if an account has a not expired subscription
+     */
+    function isSubscriber(address account) public view returns (bool) {
+        return _subscriptionExpiries[account] > block.timestamp; // solhint-disable-line not-rely-on-time
+    }
+
+    /**
+     * @return the version of the subscription pass
+     */
+    function subscriptionVersion() public view returns (uint256) {
+        return _subscriptionVersion;
+    }
+
+    /**
+     * @dev Check if subscription of an account is renewed once expired.
+     * It is false if the subscription pass changed since auto renew was enabled
+     * @param account Address you want to check
+     * @return bool
+     */
+    function autoRenewOf(address account) public view returns (bool) {
+        return _autoRenews[account] && _autoRenewVersions[account] == _subscriptionVersion;
+    }
+
+    /**
+     * @dev Set the subscription pass. Zero period disables subscriptions.
+     * Changing price or period stops auto renew of every account, until enabled again
+     * @param price uint256 The token price of a subscription pass
+     * @param period uint256 The duration of a subscription pass
+     */
+    function setSubscription(uint256 price, uint256 period) public onlyOwner {
+        if (price != _subscriptionPrice || period != _subscriptionPeriod) {
+            _subscriptionVersion = _subscriptionVersion.add(1);
+        }
+
+        _subscriptionPrice = price;
+        _subscriptionPeriod = period;
+
+        emit SubscriptionChanged(price, period);
+    }
+
+    /**
+     * @dev Buy a subscription pass using sender staked tokens.
+     * Renewing before expiry extends the current subscription
+     */
+    function subscribe() public onlyMember {
+        _subscribe(msg.sender);
+    }
+
+    /**
+     * @dev Enable or disable renewal of sender subscription once expired, at the current price and period
+     * @param enabled bool If subscription must be renewed
+     */
+    function setAutoRenew(bool enabled) public onlyMember {
+        _autoRenews[msg.sender] = enabled;
+        _autoRenewVersions[msg.sender] = _subscriptionVersion;
+
+        emit AutoRenewChanged(msg.sender, enabled);
+    }
+
+    /**
+     * @dev Renew an expired subscription with auto renew enabled, using its staked tokens. Anyone can call this
+     * @param account Address of the subscriber
+     */
+    function renew(address account) public {
+        require(autoRenewOf(account));
+        require(!isSubscriber(account));
+
+        _subscribe(account);
+    }
+
+    /**
+     * @return the total amount of tokens held in escrow for open reservations
+     */
+    function reservedTokens() public view returns (uint256) {
+        return _reservedTokens;
+    }
+
+    /**
+     * @dev Returns the open reservation of an account
+     * @param account Address you want to check
+     * @return the reserved and consumed tokens and the expiry date. Expiry is zero if there is no reservation
+     */
+    function reservationOf(address account) public view returns (uint256 amount, uint256 consumed, uint256 expiry) {
+        Reservation storage reservation = _reservations[account];
+
+        amount = reservation.amount;
+        consumed = reservation.consumed;
+        expiry = reservation.expiry;
+    }
+
+    /**
+     * @param account Address you want to check
+     * @return the reserved tokens of an account that can still be consumed
+     */
+    function availableCreditOf(address account) public view returns (uint256) {
+        Reservation storage reservation = _reservations[account];
+
+        if (reservation.expiry <= block.timestamp) { // solhint-disable-line not-rely-on-time
+            return 0;
+        }
+
+        return reservation.amount.sub(reservation.consumed);
+    }
+
+    /**
+     * @dev Reserve sender staked tokens into escrow, to be consumed by metered usage.
+     * Tokens are used from the DAO, so the reserved amount is what is received after the DAO revenue share
+     * @param amount Number of tokens to reserve
+     * @param duration uint256 The reservation duration in seconds
+     */
+    function openReservation(uint256 amount, uint256 duration) public onlyMember {
+        require(_reservations[msg.sender].expiry == 0);
+        require(duration > 0);
+
+        uint256 received = _pull(msg.sender, amount);
+        uint256 expiry = block.timestamp.add(duration); // solhint-disable-line not-rely-on-time
+
+        _reservations[msg.sender] = Reservation(received, 0, expiry);
+        _reservedTokens = _reservedTokens.add(received);
+
+        emit ReservationOpened(msg.sender, received, expiry);
+    }
+
+    /**
+     * @dev Close the reservation of an account, collecting the consumed tokens
+     * and giving back the remainder to the member stake.
+     * The remainder is transferred to the account if the DAO can't refund it,
+     * because it is not member anymore or this is not a DAO dapp anymore.
+     * It can be closed by the member or by owner at any time, by anyone after expiry
+     * @param account Address of the member
+     */
+    function closeReservation(address account) public {
+        Reservation memory reservation = _reservations[account];
+
+        require(reservation.expiry != 0);
+        require(
+            msg.sender == account ||
+            msg.sender == owner() ||
+            reservation.expiry <= block.timestamp // solhint-disable-line not-rely-on-time
+        );
+
+        uint256 refunded = reservation.amount.sub(reservation.consumed);
+
+        delete _reservations[account];
+        _reservedTokens = _reservedTokens.sub(reservation.amount);
+
+        _collect(account, reservation.consumed);
+
+        if (refunded > 0) {
+            _release(account, refunded);
+        }
+
+        emit ReservationClosed(account, reservation.consumed, refunded);
+    }
+
+    /**
+     * @return the fee percentage discount for approved members
+     */
+    function approvedDiscount() public view returns (uint256) {
+        return _approvedDiscount;
+    }
+
+    /**
+     * @param tier uint256 The DAO tier
+     * @return the fee percentage discount for members in a DAO tier
+     */
+    function tierDiscountOf(uint256 tier) public view returns (uint256) {
+        return _tierDiscounts[tier];
+    }
+
+    /**
+     * @dev Returns the fee an account pays to use dapp.
+     * The greatest between the approved discount and the discount of its DAO tier is applied
+     * @param account Address you want to check
+     * @return uint256
+     */
+    function feeFor(address account) public view returns (uint256) {
+        uint256 discount = _tierDiscounts[_dao.tierOf(account)];
+
+        if (_dao.isApproved(account) && _approvedDiscount > discount) {
+            discount = _approvedDiscount;
+        }
+
+        return _fee.sub(_fee.mul(discount).div(100));
+    }
+
+    /**
+     * @dev Set the fee percentage discount for approved members
+     * @param discount uint256 The percentage discount
+     */
+    function setApprovedDiscount(uint256 discount) public onlyOwner {
+        require(discount <= 100);
+
+        _approvedDiscount = discount;
+
+        emit ApprovedDiscountChanged(discount);
+    }
+
+    /**
+     * @dev Set the fee percentage discount for members in a DAO tier.
+     * DAO tiers are reached by stake and membership age
+     * @param tier uint256 The DAO tier
+     * @param discount uint256 The percentage discount
+     */
+    function setTierDiscount(uint256 tier, uint256 discount) public onlyOwner {
+        require(discount <= 100);
+
+        _tierDiscounts[tier] = discount;
+
+        emit TierDiscountChanged(tier, discount);
+    }
+
+    /**
+     * @dev Buy a subscription pass for an account, extending the current one if not expired
+     * @param account Address of the member
+     */
+    function _subscribe(address account) internal {
+        require(_subscriptionPeriod > 0);
+
+        _use(account, _subscriptionPrice);
+
+        uint256 start = _subscriptionExpiries[account];
+
+        if (start < block.timestamp) { // solhint-disable-line not-rely-on-time
+            start = block.timestamp; // solhint-disable-line not-rely-on-time
+        }
+
+        _subscriptionExpiries[account] = start.add(_subscriptionPeriod);
+
+        emit Subscribed(account, _subscriptionExpiries[account]);
+    }
+
+    /**
+     * @dev Consume tokens from the open reservation of an account, without calling the DAO
+     * @param account Address of the member
+     * @param amount Number of tokens to consume
+     */
+    function _consume(address account, uint256 amount) internal {
+        require(availableCreditOf(account) >= amount);
+
+        Reservation storage reservation = _reservations[account];
+
+        reservation.consumed = reservation.consumed.add(amount);
+
+        emit ReservationConsumed(account, amount);
+    }
+
+    /**
+     * @dev Use tokens of a member, collecting what is received after the DAO revenue share
+     * @param account Address of the member
+     * @param amount Number of tokens to use
+     */
+    function _use(address account, uint256 amount) internal {
+        _collect(account, _pull(account, amount));
+    }
+
+    /**
+     * @dev Use tokens of a member from the DAO, keeping them into this
+     * @param account Address of the member
+     * @param amount Number of tokens to use
+     * @return uint256 The tokens received after the DAO revenue share
+     */
+    function _pull(address account, uint256 amount) internal returns (uint256) {
+        IERC20 token = IERC20(_dao.acceptedToken());
+
+        uint256 preBalance = token.balanceOf(address(this));
+
+        _dao.use(account, amount);
+
+        return token.balanceOf(address(this)).sub(preBalance);
+    }
+
+    /**
+     * @dev Account tokens held by this as collected, forwarding them to wallet if set
+     * @param account Address of the member who paid
+     * @param amount Number of tokens to collect
+     */
+    function _collect(address account, uint256 amount) internal {
+        _collectedTokens = _collectedTokens.add(amount);
+
+        if (_wallet != address(0) && amount > 0) {
+            IERC20(_dao.acceptedToken()).transfer(_wallet, amount);
+        }
+
+        emit FeesCollected(account, amount);
+    }
+
+    /**
+     * @dev Give back tokens to a member stack, if the service was not delivered.
+     * Tokens must be held by this, so they are not available if forwarded to wallet
+     * @param account Address to refund the tokens to
+     * @param amount Number of tokens to refund
+     */
+    function _refund(address account, uint256 amount) internal {
+        _collectedTokens = _collectedTokens.sub(amount);
+
+        _dao.acceptedToken().approve(address(_dao), amount);
+        _dao.refund(account, amount);
+    }
+
+    /**
+     * @dev Give back tokens held by this to a member stack, without changing the collected tokens.
+     * If the DAO can't refund the account, tokens are transferred to it
+     * @param account Address to give back the tokens to
+     * @param amount Number of tokens to give back
+     */
+    function _release(address account, uint256 amount) internal {
+        if (
+            _dao.isDapp(address(this)) &&
+            _dao.isMember(account) &&
+            _dao.usedTokensOf(account, address(this)) >= amount
+        ) {
+            _dao.acceptedToken().approve(address(_dao), amount);
+            _dao.refund(account, amount);
+        } else {
+            _dao.acceptedToken().transfer(account, amount);
+        }
+    }
 }
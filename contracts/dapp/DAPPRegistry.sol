@@ -0,0 +1,243 @@
+pragma solidity ^0.5.11;
+
+import "../dao/DAO.sol";
+import "./DAPP.sol";
+
+/**
+ * @title DAPPRegistry
+ * @author Vittorio Minacori (https://github.com/vittominacori)
+ * @dev It records DAPPs metadata and lets DAO operators move them through their lifecycle.
+ * It grants the DAO `dapp` role only to active DAPPs, so it must be set as the DAO DAPP registry,
+ * making this the only way to add or remove DAPPs.
+ * DAPPs holding the role before the registry was set are adopted when activated or suspended,
+ * or can be revoked if never registered. Owner and fee are read from the DAPP smart contract.
+ */
+contract DAPPRegistry {
+
+    // the lifecycle of a DAPP
+    enum Status { None, Pending, Active, Suspended, Retired }
+
+    // structure defining a DAPP
+    struct Dapp {
+        string name;
+        string uri;
+        Status status;
+    }
+
+    event DappRegistered(
+        address indexed dapp,
+        address indexed owner,
+        string name
+    );
+
+    event DappMetadataChanged(
+        address indexed dapp,
+        string name,
+        string uri
+    );
+
+    event DappStatusChanged(
+        address indexed dapp,
+        Status status
+    );
+
+    // the DAO smart contract
+    DAO private _dao;
+
+    // the registered DAPPs addresses
+    address[] private _list;
+
+    // the registered DAPPs
+    mapping(address => Dapp) private _dapps;
+
+    /**
+     * @dev modifier to allow only DAO operators to do some actions
+     */
+    modifier onlyOperator() {
+        require(_dao.isOperator(msg.sender));
+        _;
+    }
+
+    /**
+     * @dev modifier to allow only the current owner of a registered DAPP to do some actions
+     * @param dapp Address of the DAPP
+     */
+    modifier onlyDappOwner(address dapp) {
+        require(_dapps[dapp].status != Status.None);
+        require(DAPP(dapp).owner() == msg.sender);
+        _;
+    }
+
+    constructor (DAO dao) public {
+        require(address(dao) != address(0));
+
+        _dao = dao;
+    }
+
+    /**
+     * @return the DAO smart contract
+     */
+    function dao() public view returns (DAO) {
+        return _dao;
+    }
+
+    /**
+     * @return the number of registered DAPPs
+     */
+    function dappsNumber() public view returns (uint256) {
+        return _list.length;
+    }
+
+    /**
+     * @param index uint256 The position into the list
+     * @return the address of a registered DAPP
+     */
+    function dappAt(uint256 index) public view returns (address) {
+        return _list[index];
+    }
+
+    /**
+     * @param dapp Address of the DAPP
+     * @return the status of a DAPP
+     */
+    function statusOf(address dapp) public view returns (Status) {
+        return _dapps[dapp].status;
+    }
+
+    /**
+     * @param dapp Address of the DAPP
+     * @return if a DAPP is active
+     */
+    function isActive(address dapp) public view returns (bool) {
+        return _dapps[dapp].status == Status.Active;
+    }
+
+    /**
+     * @dev Returns the DAPP structure. Owner and fee are the current ones of the DAPP smart contract
+     * @param dapp Address of the DAPP
+     * @return the DAPP name, metadata URI, owner, fee and status. Owner and fee are zero if not registered
+     */
+    function getDapp(address dapp)
+        public
+        view
+        returns (
+            string memory name,
+            string memory uri,
+            address owner,
+            uint256 fee,
+            Status status
+        )
+    {
+        Dapp storage structure = _dapps[dapp];
+
+        name = structure.name;
+        uri = structure.uri;
+        status = structure.status;
+
+        if (status != Status.None) {
+            owner = DAPP(dapp).owner();
+            fee = DAPP(dapp).fee();
+        }
+    }
+
+    /**
+     * @dev Register a DAPP owned by sender. It will wait for an operator to be activated.
+     * Sender must be the owner of the DAPP smart contract
+     * @param dapp Address of the DAPP
+     * @param name string The DAPP name
+     * @param uri string The DAPP metadata URI
+     */
+    function register(address dapp, string memory name, string memory uri) public {
+        require(dapp != address(0));
+        require(_dapps[dapp].status == Status.None);
+        require(DAPP(dapp).owner() == msg.sender);
+
+        _dapps[dapp] = Dapp(name, uri, Status.Pending);
+        _list.push(dapp);
+
+        emit DappRegistered(dapp, msg.sender, name);
+        emit DappStatusChanged(dapp, Status.Pending);
+    }
+
+    /**
+     * @dev Change the DAPP metadata
+     * @param dapp Address of the DAPP
+     * @param name string The DAPP name
+     * @param uri string The DAPP metadata URI
+     */
+    function setMetadata(address dapp, string memory name, string memory uri) public onlyDappOwner(dapp) {
+        Dapp storage structure = _dapps[dapp];
+
+        structure.name = name;
+        structure.uri = uri;
+
+        emit DappMetadataChanged(dapp, name, uri);
+    }
+
+    /**
+     * @dev Activate a pending or suspended DAPP, giving it the DAO `dapp` role if it does not already have it
+     * @param dapp Address of the DAPP
+     */
+    function activate(address dapp) public onlyOperator {
+        Status status = _dapps[dapp].status;
+
+        require(status == Status.Pending || status == Status.Suspended);
+
+        _setStatus(dapp, Status.Active);
+
+        if (!_dao.isDapp(dapp)) {
+            _dao.addDapp(dapp);
+        }
+    }
+
+    /**
+     * @dev Suspend an active DAPP, or a pending one already having the DAO `dapp` role, removing the role
+     * @param dapp Address of the DAPP
+     */
+    function suspend(address dapp) public onlyOperator {
+        Status status = _dapps[dapp].status;
+
+        require(status == Status.Active || (status == Status.Pending && _dao.isDapp(dapp)));
+
+        _setStatus(dapp, Status.Suspended);
+
+        _dao.removeDapp(dapp);
+    }
+
+    /**
+     * @dev Retire a DAPP forever, removing the DAO `dapp` role if it has it
+     * @param dapp Address of the DAPP
+     */
+    function retire(address dapp) public onlyOperator {
+        Status status = _dapps[dapp].status;
+
+        require(status != Status.None && status != Status.Retired);
+
+        _setStatus(dapp, Status.Retired);
+
+        if (_dao.isDapp(dapp)) {
+            _dao.removeDapp(dapp);
+        }
+    }
+
+    /**
+     * @dev Remove the DAO `dapp` role from a DAPP never registered, that had it before the registry was set
+     * @param dapp Address of the DAPP
+     */
+    function revoke(address dapp) public onlyOperator {
+        require(_dapps[dapp].status == Status.None);
+
+        _dao.removeDapp(dapp);
+    }
+
+    /**
+     * @dev Change the DAPP status
+     * @param dapp Address of the DAPP
+     * @param status Status The new status
+     */
+    function _setStatus(address dapp, Status status) internal {
+        _dapps[dapp].status = status;
+
+        emit DappStatusChanged(dapp, status);
+    }
+}
@@ -0,0 +1,444 @@
+pragma solidity ^0.5.11;
+
+import "@openzeppelin/contracts/math/SafeMath.sol";
+import "@openzeppelin/contracts/ownership/Ownable.sol";
+import "../dao/DAO.sol";
+import "./Timelock.sol";
+
+/**
+ * @title Governance
+ * @author Vittorio Minacori (https://github.com/vittominacori)
+ * @dev It identifies the DAO proposals and the stake weighted voting logic.
+ * Members can vote using their own staked tokens, if not delegated, and tokens delegated to them.
+ * Voters are recorded by member id, so a member can't vote again after migrating to a new address.
+ * Each proposal call is tracked on the Timelock it was queued into, so changing the Timelock doesn't affect
+ * calls already queued
+ */
+contract Governance is Ownable {
+    using SafeMath for uint256;
+
+    // possible states of a proposal
+    enum ProposalState { Active, Defeated, Succeeded, Queued, Executed, Canceled }
+
+    // possible choices of a vote
+    enum VoteType { Against, For, Abstain }
+
+    // structure defining a proposal
+    struct Proposal {
+        uint256 id;
+        address proposer;
+        string description;
+        uint256 startDate;
+        uint256 endDate;
+        uint256 snapshotBlock;
+        uint256 quorumVotes;
+        uint256 forVotes;
+        uint256 againstVotes;
+        uint256 abstainVotes;
+        address target;
+        uint256 value;
+        bytes data;
+        uint256 eta;
+        Timelock timelock;
+        mapping(uint256 => bool) voters;
+    }
+
+    event ProposalCreated(
+        uint256 indexed id,
+        address indexed proposer,
+        string description,
+        uint256 startDate,
+        uint256 endDate
+    );
+
+    event VoteCast(
+        address indexed account,
+        uint256 indexed proposalId,
+        VoteType support,
+        uint256 weight
+    );
+
+    event ProposalQueued(
+        uint256 indexed id,
+        uint256 eta
+    );
+
+    event ProposalExecuted(uint256 indexed id);
+
+    event VotingPeriodChanged(uint256 votingPeriod);
+
+    event QuorumChanged(uint256 quorum);
+
+    event TimelockChanged(address timelock);
+
+    // the DAO smart contract
+    DAO private _dao;
+
+    // the Timelock smart contract executing proposals calls
+    Timelock private _timelock;
+
+    // the duration of voting, in seconds
+    uint256 private _votingPeriod;
+
+    // the percentage of total staked tokens needed for a proposal to be valid
+    uint256 private _quorum;
+
+    // the number of created proposals
+    uint256 private _proposalsNumber;
+
+    // the list of proposals
+    mapping(uint256 => Proposal) private _proposals;
+
+    /**
+     * @dev modifier to allow only approved members to do some actions
+     */
+    modifier onlyApproved() {
+        require(_dao.isApproved(msg.sender));
+        _;
+    }
+
+    constructor (DAO dao, uint256 votingPeriod, uint256 quorum) public {
+        require(address(dao) != address(0));
+        require(votingPeriod > 0);
+        require(quorum <= 100);
+
+        _dao = dao;
+        _votingPeriod = votingPeriod;
+        _quorum = quorum;
+    }
+
+    /**
+     * @return the DAO smart contract
+     */
+    function dao() public view returns (DAO) {
+        return _dao;
+    }
+
+    /**
+     * @return the Timelock smart contract executing proposals calls
+     */
+    function timelock() public view returns (Timelock) {
+        return _timelock;
+    }
+
+    /**
+     * @return the duration of voting, in seconds
+     */
+    function votingPeriod() public view returns (uint256) {
+        return _votingPeriod;
+    }
+
+    /**
+     * @return the percentage of total staked tokens needed for a proposal to be valid
+     */
+    function quorum() public view returns (uint256) {
+        return _quorum;
+    }
+
+    /**
+     * @dev Returns the proposals number
+     * @return uint256
+     */
+    function proposalsNumber() public view returns (uint256) {
+        return _proposalsNumber;
+    }
+
+    /**
+     * @dev Create a new proposal without calls to be executed
+     * @param description string The proposal description
+     * @return uint256 The new proposal id
+     */
+    function propose(string memory description) public onlyApproved returns (uint256) {
+        return _propose(address(0), 0, "", description);
+    }
+
+    /**
+     * @dev Create a new proposal with a call to be executed by the Timelock if it passes
+     * @param target Address of the contract to call
+     * @param value uint256 ETH to be sent with the call
+     * @param data bytes The call data
+     * @param description string The proposal description
+     * @return uint256 The new proposal id
+     */
+    function proposeCall(
+        address target,
+        uint256 value,
+        bytes memory data,
+        string memory description
+    )
+        public
+        onlyApproved
+        returns (uint256)
+    {
+        require(target != address(0));
+
+        return _propose(target, value, data, description);
+    }
+
+    /**
+     * @dev Queue the call of a succeeded proposal into the Timelock
+     * @param proposalId Id of the proposal you want to queue
+     */
+    function queue(uint256 proposalId) public {
+        require(state(proposalId) == ProposalState.Succeeded);
+
+        Proposal storage proposal = _proposals[proposalId];
+
+        require(proposal.target != address(0));
+        require(address(_timelock) != address(0));
+
+        proposal.timelock = _timelock;
+        proposal.eta = _timelock.queue(proposal.target, proposal.value, proposal.data);
+
+        emit ProposalQueued(proposalId, proposal.eta);
+    }
+
+    /**
+     * @dev Execute the call of a queued proposal, through the Timelock it was queued into, once the delay is passed
+     * @param proposalId Id of the proposal you want to execute
+     */
+    function execute(uint256 proposalId) public {
+        require(state(proposalId) == ProposalState.Queued);
+
+        Proposal storage proposal = _proposals[proposalId];
+
+        proposal.timelock.execute(proposal.target, proposal.value, proposal.data, proposal.eta);
+
+        emit ProposalExecuted(proposalId);
+    }
+
+    /**
+     * @dev Vote a proposal using the voting power at proposal snapshot block as weight
+     * @param proposalId Id of the proposal you want to vote
+     * @param support VoteType The vote choice
+     */
+    function castVote(uint256 proposalId, VoteType support) public onlyApproved {
+        require(state(proposalId) == ProposalState.Active);
+
+        Proposal storage proposal = _proposals[proposalId];
+        uint256 memberId = _memberId(msg.sender);
+
+        require(!proposal.voters[memberId]);
+
+        uint256 weight = _dao.votesAt(msg.sender, proposal.snapshotBlock);
+
+        require(weight > 0);
+
+        if (support == VoteType.For) {
+            proposal.forVotes = proposal.forVotes.add(weight);
+        } else if (support == VoteType.Against) {
+            proposal.againstVotes = proposal.againstVotes.add(weight);
+        } else {
+            proposal.abstainVotes = proposal.abstainVotes.add(weight);
+        }
+
+        proposal.voters[memberId] = true;
+
+        emit VoteCast(msg.sender, proposalId, support, weight);
+    }
+
+    /**
+     * @dev Check if an address has voted a proposal
+     * @param proposalId Id of the proposal you are looking for
+     * @param account Address you want to check
+     * @return bool
+     */
+    function hasVoted(uint256 proposalId, address account) public view returns (bool) {
+        return _dao.isMember(account) && _proposals[proposalId].voters[_memberId(account)];
+    }
+
+    /**
+     * @dev Returns the current state of a proposal
+     * @param proposalId Id of the proposal you are looking for
+     * @return ProposalState
+     */
+    function state(uint256 proposalId) public view returns (ProposalState) {
+        Proposal storage proposal = _getProposal(proposalId);
+
+        if (block.timestamp <= proposal.endDate) { // solhint-disable-line not-rely-on-time
+            return ProposalState.Active;
+        }
+
+        if (proposal.eta != 0) {
+            Timelock proposalTimelock = proposal.timelock;
+            bytes32 callId = proposalTimelock.hashCall(proposal.target, proposal.value, proposal.data, proposal.eta);
+
+            if (proposalTimelock.isExecuted(callId)) {
+                return ProposalState.Executed;
+            }
+
+            if (proposalTimelock.isQueued(callId)) {
+                return ProposalState.Queued;
+            }
+
+            return ProposalState.Canceled;
+        }
+
+        uint256 totalVotes = proposal.forVotes.add(proposal.againstVotes).add(proposal.abstainVotes);
+
+        if (totalVotes >= proposal.quorumVotes && proposal.forVotes > proposal.againstVotes) {
+            return ProposalState.Succeeded;
+        }
+
+        return ProposalState.Defeated;
+    }
+
+    /**
+     * @dev Returns the proposal structure
+     * @param proposalId Id of the proposal you are looking for
+     * @return array
+     */
+    function getProposal(uint256 proposalId)
+        public
+        view
+        returns (
+            uint256 id,
+            address proposer,
+            string memory description,
+            uint256 startDate,
+            uint256 endDate,
+            uint256 snapshotBlock,
+            uint256 quorumVotes,
+            uint256 forVotes,
+            uint256 againstVotes,
+            uint256 abstainVotes
+        )
+    {
+        Proposal storage structure = _getProposal(proposalId);
+
+        id = structure.id;
+        proposer = structure.proposer;
+        description = structure.description;
+        startDate = structure.startDate;
+        endDate = structure.endDate;
+        snapshotBlock = structure.snapshotBlock;
+        quorumVotes = structure.quorumVotes;
+        forVotes = structure.forVotes;
+        againstVotes = structure.againstVotes;
+        abstainVotes = structure.abstainVotes;
+    }
+
+    /**
+     * @dev Returns the call of a proposal and the Timelock it was queued into, zero if not queued
+     * @param proposalId Id of the proposal you are looking for
+     * @return array
+     */
+    function getProposalCall(uint256 proposalId)
+        public
+        view
+        returns (
+            address target,
+            uint256 value,
+            bytes memory data,
+            uint256 eta,
+            Timelock callTimelock
+        )
+    {
+        Proposal storage structure = _getProposal(proposalId);
+
+        target = structure.target;
+        value = structure.value;
+        data = structure.data;
+        eta = structure.eta;
+        callTimelock = structure.timelock;
+    }
+
+    /**
+     * @dev Set the Timelock executing proposals calls. Calls already queued are still executed by the previous one
+     * @param newTimelock Timelock The new Timelock smart contract
+     */
+    function setTimelock(Timelock newTimelock) public onlyOwner {
+        require(address(newTimelock) != address(0));
+
+        _timelock = newTimelock;
+
+        emit TimelockChanged(address(newTimelock));
+    }
+
+    /**
+     * @dev Set the duration of voting for new proposals
+     * @param newVotingPeriod uint256 The new duration, in seconds
+     */
+    function setVotingPeriod(uint256 newVotingPeriod) public onlyOwner {
+        require(newVotingPeriod > 0);
+
+        _votingPeriod = newVotingPeriod;
+
+        emit VotingPeriodChanged(newVotingPeriod);
+    }
+
+    /**
+     * @dev Set the quorum for new proposals
+     * @param newQuorum uint256 The new percentage of total staked tokens
+     */
+    function setQuorum(uint256 newQuorum) public onlyOwner {
+        require(newQuorum <= 100);
+
+        _quorum = newQuorum;
+
+        emit QuorumChanged(newQuorum);
+    }
+
+    /**
+     * @dev Create a new proposal
+     * @param target Address of the contract to call, zero if no call
+     * @param value uint256 ETH to be sent with the call
+     * @param data bytes The call data
+     * @param description string The proposal description
+     * @return uint256 The new proposal id
+     */
+    function _propose(
+        address target,
+        uint256 value,
+        bytes memory data,
+        string memory description
+    )
+        internal
+        returns (uint256)
+    {
+        uint256 proposalId = _proposalsNumber.add(1);
+
+        Proposal storage proposal = _proposals[proposalId];
+
+        proposal.id = proposalId;
+        proposal.proposer = msg.sender;
+        proposal.description = description;
+        proposal.startDate = block.timestamp; // solhint-disable-line not-rely-on-time
+        proposal.endDate = proposal.startDate.add(_votingPeriod);
+        proposal.snapshotBlock = block.number.sub(1);
+        proposal.quorumVotes = _dao.totalStakedTokensAt(proposal.snapshotBlock).mul(_quorum).div(100);
+        proposal.target = target;
+        proposal.value = value;
+        proposal.data = data;
+
+        _proposalsNumber = proposalId;
+
+        emit ProposalCreated(proposalId, msg.sender, description, proposal.startDate, proposal.endDate);
+
+        return proposalId;
+    }
+
+    /**
+     * @dev Returns the id of a member, reverting if it does not exist
+     * @param account Address of the member
+     * @return uint256
+     */
+    function _memberId(address account) internal view returns (uint256) {
+        (uint256 memberId, , , , , , , ) = _dao.getMemberByAddress(account);
+
+        return memberId;
+    }
+
+    /**
+     * @dev Returns the proposal structure, reverting if it does not exist
+     * @param proposalId Id of the proposal you are looking for
+     * @return Proposal
+     */
+    function _getProposal(uint256 proposalId) internal view returns (Proposal storage) {
+        Proposal storage structure = _proposals[proposalId];
+
+        require(structure.id != 0);
+
+        return structure;
+    }
+}
@@ -0,0 +1,182 @@
+pragma solidity ^0.5.11;
+
+import "@openzeppelin/contracts/math/SafeMath.sol";
+import "@openzeppelin/contracts/ownership/Ownable.sol";
+import "../dao/DAO.sol";
+
+/**
+ * @title Timelock
+ * @author Vittorio Minacori (https://github.com/vittominacori)
+ * @dev It queues calls and allows anyone to execute them after a delay.
+ * DAO operators can cancel queued calls during the delay.
+ */
+contract Timelock is Ownable {
+    using SafeMath for uint256;
+
+    event CallQueued(
+        bytes32 indexed id,
+        address indexed target,
+        uint256 value,
+        bytes data,
+        uint256 eta
+    );
+
+    event CallExecuted(
+        bytes32 indexed id,
+        address indexed target,
+        uint256 value,
+        bytes data,
+        uint256 eta
+    );
+
+    event CallCancelled(bytes32 indexed id);
+
+    event DelayChanged(uint256 delay);
+
+    // the DAO smart contract
+    DAO private _dao;
+
+    // the delay before a queued call can be executed, in seconds
+    uint256 private _delay;
+
+    // the queued calls
+    mapping(bytes32 => bool) private _queued;
+
+    // the executed calls
+    mapping(bytes32 => bool) private _executed;
+
+    /**
+     * @dev modifier to allow only DAO operators to do some actions
+     */
+    modifier onlyOperator() {
+        require(_dao.isOperator(msg.sender));
+        _;
+    }
+
+    constructor (DAO dao, uint256 delay) public {
+        require(address(dao) != address(0));
+        require(delay > 0);
+
+        _dao = dao;
+        _delay = delay;
+    }
+
+    /**
+     * @dev fallback. This function will receive ETH used by calls
+     */
+    function () external payable {} // solhint-disable-line no-empty-blocks
+
+    /**
+     * @return the DAO smart contract
+     */
+    function dao() public view returns (DAO) {
+        return _dao;
+    }
+
+    /**
+     * @return the delay before a queued call can be executed, in seconds
+     */
+    function delay() public view returns (uint256) {
+        return _delay;
+    }
+
+    /**
+     * @dev Check if a call is queued
+     * @param id bytes32 The call identifier
+     * @return bool
+     */
+    function isQueued(bytes32 id) public view returns (bool) {
+        return _queued[id];
+    }
+
+    /**
+     * @dev Check if a call has been executed
+     * @param id bytes32 The call identifier
+     * @return bool
+     */
+    function isExecuted(bytes32 id) public view returns (bool) {
+        return _executed[id];
+    }
+
+    /**
+     * @dev Returns the identifier of a call
+     * @param target Address of the contract to call
+     * @param value uint256 ETH to be sent with the call
+     * @param data bytes The call data
+     * @param eta uint256 The date after which the call can be executed
+     * @return bytes32
+     */
+    function hashCall(address target, uint256 value, bytes memory data, uint256 eta) public pure returns (bytes32) {
+        return keccak256(abi.encode(target, value, data, eta));
+    }
+
+    /**
+     * @dev Queue a call to be executed after the delay
+     * @param target Address of the contract to call
+     * @param value uint256 ETH to be sent with the call
+     * @param data bytes The call data
+     * @return uint256 The date after which the call can be executed
+     */
+    function queue(address target, uint256 value, bytes memory data) public onlyOwner returns (uint256) {
+        require(target != address(0));
+
+        uint256 eta = block.timestamp.add(_delay); // solhint-disable-line not-rely-on-time
+        bytes32 id = hashCall(target, value, data, eta);
+
+        require(!_queued[id]);
+
+        _queued[id] = true;
+
+        emit CallQueued(id, target, value, data, eta);
+
+        return eta;
+    }
+
+    /**
+     * @dev Execute a queued call once the delay is passed
+     * @param target Address of the contract to call
+     * @param value uint256 ETH to be sent with the call
+     * @param data bytes The call data
+     * @param eta uint256 The date after which the call can be executed
+     */
+    function execute(address target, uint256 value, bytes memory data, uint256 eta) public payable {
+        bytes32 id = hashCall(target, value, data, eta);
+
+        require(_queued[id]);
+        require(block.timestamp >= eta); // solhint-disable-line not-rely-on-time
+
+        _queued[id] = false;
+        _executed[id] = true;
+
+        // solhint-disable-next-line avoid-call-value, avoid-low-level-calls
+        (bool success, ) = target.call.value(value)(data);
+        require(success);
+
+        emit CallExecuted(id, target, value, data, eta);
+    }
+
+    /**
+     * @dev Cancel a queued call
+     * @param id bytes32 The call identifier
+     */
+    function cancel(bytes32 id) public onlyOperator {
+        require(_queued[id]);
+
+        _queued[id] = false;
+
+        emit CallCancelled(id);
+    }
+
+    /**
+     * @dev Set the delay. It must be called through a queued call
+     * @param newDelay uint256 The new delay, in seconds
+     */
+    function setDelay(uint256 newDelay) public {
+        require(msg.sender == address(this));
+        require(newDelay > 0);
+
+        _delay = newDelay;
+
+        emit DelayChanged(newDelay);
+    }
+}
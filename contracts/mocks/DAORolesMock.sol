@@ -7,4 +7,8 @@ contract DAORolesMock is DAORoles {
     function onlyOperatorMock() public view onlyOperator {} // solhint-disable-line no-empty-blocks
 
     function onlyDappMock() public view onlyDapp {} // solhint-disable-line no-empty-blocks
+
+    function onlyFunderMock() public view onlyFunder {} // solhint-disable-line no-empty-blocks
+
+    function onlyMigratorMock() public view onlyMigrator {} // solhint-disable-line no-empty-blocks
 }
@@ -21,6 +21,20 @@ contract DAPPMock is DAPP {
      */
     function useDappAction(uint256 amount) public useTokens(amount) useFee {} // solhint-disable-line no-empty-blocks
 
+    /**
+     * @dev mock function to test refunding tokens
+     */
+    function refundAction(address account, uint256 amount) public {
+        _refund(account, amount);
+    }
+
+    /**
+     * @dev mock function to test consuming reserved tokens
+     */
+    function consumeAction(uint256 amount) public {
+        _consume(msg.sender, amount);
+    }
+
     /**
      * @dev mock function to test only member function
      */
@@ -31,6 +45,26 @@ contract DAPPMock is DAPP {
      */
     function onlyApprovedAction() public onlyApproved {} // solhint-disable-line no-empty-blocks
 
+    /**
+     * @dev mock function to test only subscriber function
+     */
+    function onlySubscriberAction() public onlySubscriber {} // solhint-disable-line no-empty-blocks
+
+    /**
+     * @dev mock function to test only member since function
+     */
+    function onlyMemberSinceAction(uint256 duration) public onlyMemberSince(duration) {} // solhint-disable-line no-empty-blocks
+
+    /**
+     * @dev mock function to test only stakers function
+     */
+    function onlyStakersAction(uint256 minAmount) public onlyStakers(minAmount) {} // solhint-disable-line no-empty-blocks
+
+    /**
+     * @dev mock function to test only approved with stake function
+     */
+    function onlyApprovedWithStakeAction(uint256 minAmount) public onlyApprovedWithStake(minAmount) {} // solhint-disable-line no-empty-blocks
+
     function memberSince(address account, uint256 date) public view returns (bool) {
         return dao().isMember(account) && dao().creationDateOf(account) <= date;
     }
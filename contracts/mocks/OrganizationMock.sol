@@ -3,6 +3,8 @@ pragma solidity ^0.5.11;
 import "../dao/Organization.sol";
 
 contract OrganizationMock {
+    using SafeMath for uint256;
+
     using Organization for Organization.Members;
     using Organization for Organization.Member;
 
@@ -12,6 +14,10 @@ contract OrganizationMock {
         return _members.count;
     }
 
+    function activeMembersNumber() public view returns (uint256) {
+        return _members.count.sub(_members.removedCount);
+    }
+
     function totalStakedTokens() public view returns (uint256) {
         return _members.totalStakedTokens;
     }
@@ -20,10 +26,18 @@ contract OrganizationMock {
         return _members.totalUsedTokens;
     }
 
+    function totalPendingTokens() public view returns (uint256) {
+        return _members.totalPendingTokens;
+    }
+
     function isMember(address account) public view returns (bool) {
         return _members.isMember(account);
     }
 
+    function isValidFingerprint(bytes9 fingerprint) public view returns (bool) {
+        return _members.isValidFingerprint(fingerprint);
+    }
+
     function creationDateOf(address account) public view returns (uint256) {
         return _members.creationDateOf(account);
     }
@@ -32,10 +46,74 @@ contract OrganizationMock {
         return _members.stakedTokensOf(account);
     }
 
+    function stakedTokensAt(address account, uint256 blockNumber) public view returns (uint256) {
+        return _members.stakedTokensAt(account, blockNumber);
+    }
+
+    function totalStakedTokensAt(uint256 blockNumber) public view returns (uint256) {
+        return _members.totalStakedTokensAt(blockNumber);
+    }
+
+    function delegateOf(address account) public view returns (address) {
+        return _members.delegateOf(account);
+    }
+
+    function delegatedTokensOf(address account) public view returns (uint256) {
+        return _members.delegatedTokensOf(account);
+    }
+
+    function votesOf(address account) public view returns (uint256) {
+        return _members.votesOf(account);
+    }
+
+    function votesAt(address account, uint256 blockNumber) public view returns (uint256) {
+        return _members.votesAt(account, blockNumber);
+    }
+
     function usedTokensOf(address account) public view returns (uint256) {
         return _members.usedTokensOf(account);
     }
 
+    function usedTokensOf(address account, address dapp) public view returns (uint256) {
+        return _members.usedTokensOf(account, dapp);
+    }
+
+    function totalUsedBy(address dapp) public view returns (uint256) {
+        return _members.totalUsedBy(dapp);
+    }
+
+    function pendingTokensOf(address account) public view returns (uint256) {
+        return _members.pendingTokensOf(account);
+    }
+
+    function releaseDateOf(address account) public view returns (uint256) {
+        return _members.releaseDateOf(account);
+    }
+
+    function lockedTokensOf(address account) public view returns (uint256) {
+        return _members.lockedTokensOf(account);
+    }
+
+    function lockedUntil(address account) public view returns (uint256) {
+        return _members.lockedUntil(account);
+    }
+
+    function weightOf(address account) public view returns (uint256) {
+        return _members.weightOf(account);
+    }
+
+    function totalRewards() public view returns (uint256) {
+        return _members.totalRewards;
+    }
+
+    function earned(address account) public view returns (uint256) {
+        return _members.earned(account);
+    }
+
+    function allowance(address account, address dapp) public view returns (uint256) {
+        return _members.allowance(account, dapp);
+    }
+
     function isApproved(address account) public view returns (bool) {
         return _members.isApproved(account);
     }
@@ -70,6 +148,14 @@ contract OrganizationMock {
         approved = structure.approved;
     }
 
+    function removeMember(address account) public {
+        _members.removeMember(account);
+    }
+
+    function migrateMember(address account, address newAccount) public {
+        _members.migrateMember(account, newAccount);
+    }
+
     function stake(address account, uint256 amount) public {
         _members.stake(account, amount);
     }
@@ -78,8 +164,52 @@ contract OrganizationMock {
         _members.unstake(msg.sender, amount);
     }
 
-    function use(uint256 amount) public {
-        _members.use(msg.sender, amount);
+    function requestUnstake(uint256 amount, uint256 releaseDate) public {
+        _members.requestUnstake(msg.sender, amount, releaseDate);
+    }
+
+    function withdraw() public {
+        _members.withdraw(msg.sender);
+    }
+
+    function use(address dapp, uint256 amount) public {
+        _members.use(msg.sender, dapp, amount);
+    }
+
+    function refund(address account, address dapp, uint256 amount) public {
+        _members.refund(account, dapp, amount);
+    }
+
+    function lock(uint256 amount, uint256 until) public {
+        _members.lock(msg.sender, amount, until);
+    }
+
+    function addRewards(uint256 amount) public {
+        _members.addRewards(amount);
+    }
+
+    function claimRewards() public {
+        _members.claimRewards(msg.sender);
+    }
+
+    function setAllowance(address dapp, uint256 amount, uint256 expiry) public {
+        _members.setAllowance(msg.sender, dapp, amount, expiry);
+    }
+
+    function spendAllowance(address account, uint256 amount) public {
+        _members.spendAllowance(account, msg.sender, amount);
+    }
+
+    function delegate(address delegatee) public {
+        _members.delegate(msg.sender, delegatee);
+    }
+
+    function undelegate() public {
+        _members.undelegate(msg.sender);
+    }
+
+    function clearDelegation(address account) public {
+        _members.clearDelegation(account);
     }
 
     function setApproved(address account, bool approved) public {
@@ -10,6 +10,10 @@ contract('DAORoles', function (
     otherOperator,
     dapp,
     otherDapp,
+    funder,
+    otherFunder,
+    migrator,
+    otherMigrator,
     ...otherAccounts
   ]
 ) {
@@ -36,6 +40,24 @@ contract('DAORoles', function (
     shouldBehaveLikeDAORole(owner, dapp, otherDapp, otherAccounts, 'dapp', operator);
   });
 
+  context('testing "funder" behaviour', function () {
+    beforeEach(async function () {
+      await this.contract.addFunder(funder, { from: owner });
+      await this.contract.addFunder(otherFunder, { from: owner });
+    });
+
+    shouldBehaveLikeDAORole(owner, funder, otherFunder, otherAccounts, 'funder');
+  });
+
+  context('testing "migrator" behaviour', function () {
+    beforeEach(async function () {
+      await this.contract.addMigrator(migrator, { from: owner });
+      await this.contract.addMigrator(otherMigrator, { from: owner });
+    });
+
+    shouldBehaveLikeDAORole(owner, migrator, otherMigrator, otherAccounts, 'migrator');
+  });
+
   context('testing ownership', function () {
     beforeEach(async function () {
       this.ownable = this.contract;
@@ -8,6 +8,7 @@ const { shouldBehaveLikeERC1363Payable } = require('../ERC1363/ERC1363Payable.be
 const ERC20Mock = artifacts.require('ERC20Mock');
 const ERC1363 = artifacts.require('ERC1363Mock');
 const DAO = artifacts.require('DAOMock');
+const DappCaps = artifacts.require('DappCaps');
 
 contract('DAO', function (
   [
@@ -17,6 +18,7 @@ contract('DAO', function (
     member,
     spender,
     anotherAccount,
+    funder,
     ...accounts
   ]
 ) {
@@ -58,6 +60,9 @@ contract('DAO', function (
 
       await this.dao.addOperator(operator, { from: creator });
       await this.dao.addDapp(dapp, { from: operator });
+
+      await this.dao.approveDapp(dapp, tokenBalance, 0, { from: member });
+      await this.dao.approveDapp(dapp, tokenBalance, 0, { from: anotherAccount });
     });
 
     it('should start with zero totalStakedTokens', async function () {
@@ -280,6 +285,40 @@ contract('DAO', function (
           });
         });
 
+        context('check by fingerprint', function () {
+          let fingerprint;
+
+          beforeEach(async function () {
+            fingerprint = await this.dao.getFingerprint(member, memberId);
+          });
+
+          it('should return the member structure', async function () {
+            const memberStructure = structDecode(await this.dao.getMemberByFingerprint(fingerprint));
+
+            memberStructure.id.should.be.bignumber.equal(memberId);
+            memberStructure.account.should.be.equal(member);
+            assert.equal(memberStructure.fingerprint, fingerprint);
+          });
+
+          it('should be a valid fingerprint', async function () {
+            (await this.dao.isValidFingerprint(fingerprint)).should.be.equal(true);
+          });
+
+          it('should be valid after migration', async function () {
+            await this.dao.migrate(anotherAccount, { from: member });
+
+            (await this.dao.isValidFingerprint(fingerprint)).should.be.equal(true);
+            structDecode(await this.dao.getMemberByFingerprint(fingerprint)).account.should.be.equal(anotherAccount);
+          });
+
+          it('should not be valid after removal', async function () {
+            await this.dao.leave({ from: member });
+
+            (await this.dao.isValidFingerprint(fingerprint)).should.be.equal(false);
+            await expectRevert.unspecified(this.dao.getMemberByFingerprint(fingerprint));
+          });
+        });
+
         context('when member does not exist', function () {
           describe('check metadata', function () {
             it('reverts using id', async function () {
@@ -289,6 +328,20 @@ contract('DAO', function (
             it('reverts using address', async function () {
               await expectRevert.unspecified(this.dao.getMemberByAddress(anotherAccount));
             });
+
+            it('reverts using fingerprint', async function () {
+              const fingerprint = await this.dao.getFingerprint(anotherAccount, memberId);
+
+              await expectRevert.unspecified(this.dao.getMemberByFingerprint(fingerprint));
+            });
+          });
+
+          describe('check isValidFingerprint', function () {
+            it('returns false', async function () {
+              const fingerprint = await this.dao.getFingerprint(anotherAccount, memberId);
+
+              (await this.dao.isValidFingerprint(fingerprint)).should.be.equal(false);
+            });
           });
 
           describe('check isMember', function () {
@@ -395,6 +448,436 @@ contract('DAO', function (
         });
       });
 
+      context('removing members', function () {
+        const tokenAmount = new BN(5);
+
+        beforeEach(async function () {
+          await this.token.transferAndCall(this.dao.address, tokenAmount, { from: member });
+        });
+
+        describe('via leave function', function () {
+          describe('if member', function () {
+            let accountPreBalance;
+
+            beforeEach(async function () {
+              accountPreBalance = await this.token.balanceOf(member);
+
+              ({ logs: this.logs } = await this.dao.leave({ from: member }));
+            });
+
+            it('should not be member', async function () {
+              (await this.dao.isMember(member)).should.be.equal(false);
+            });
+
+            it('should give back staked tokens', async function () {
+              (await this.token.balanceOf(member)).should.be.bignumber.equal(accountPreBalance.add(tokenAmount));
+              (await this.dao.totalStakedTokens()).should.be.bignumber.equal(new BN(0));
+            });
+
+            it('should keep historical members number and decrease active members number', async function () {
+              (await this.dao.membersNumber()).should.be.bignumber.equal(memberId);
+              (await this.dao.activeMembersNumber()).should.be.bignumber.equal(memberId.subn(1));
+            });
+
+            it('should keep member structure by id', async function () {
+              const memberStructure = structDecode(await this.dao.getMemberById(memberId));
+
+              memberStructure.account.should.be.equal(member);
+              memberStructure.stakedTokens.should.be.bignumber.equal(new BN(0));
+            });
+
+            it('should emit MemberRemoved', async function () {
+              expectEvent.inLogs(this.logs, 'MemberRemoved', {
+                account: member,
+                id: memberId,
+                reason: '',
+              });
+            });
+
+            it('should join again with a new id', async function () {
+              await this.dao.join({ from: member });
+
+              structDecode(await this.dao.getMemberByAddress(member)).id.should.be.bignumber.equal(memberId.addn(1));
+            });
+          });
+
+          describe('if member has locked tokens', function () {
+            it('reverts', async function () {
+              await this.dao.lock(tokenAmount, time.duration.days(1), { from: member });
+
+              await expectRevert.unspecified(this.dao.leave({ from: member }));
+            });
+          });
+
+          describe('if unstake cooldown is set', function () {
+            beforeEach(async function () {
+              await this.dao.setUnstakeCooldown(time.duration.days(1), { from: creator });
+            });
+
+            it('reverts if member has staked tokens', async function () {
+              await expectRevert.unspecified(this.dao.leave({ from: member }));
+            });
+
+            it('reverts if pending tokens are not released', async function () {
+              await this.dao.requestUnstake(tokenAmount, { from: member });
+
+              await expectRevert.unspecified(this.dao.leave({ from: member }));
+            });
+
+            it('should give back released pending tokens', async function () {
+              await this.dao.requestUnstake(tokenAmount, { from: member });
+              await time.increase(time.duration.days(1));
+
+              const accountPreBalance = await this.token.balanceOf(member);
+
+              await this.dao.leave({ from: member });
+
+              (await this.token.balanceOf(member)).should.be.bignumber.equal(accountPreBalance.add(tokenAmount));
+              (await this.dao.totalPendingTokens()).should.be.bignumber.equal(new BN(0));
+            });
+          });
+
+          describe('if not member', function () {
+            it('reverts', async function () {
+              await expectRevert.unspecified(this.dao.leave({ from: anotherAccount }));
+            });
+          });
+        });
+
+        describe('via removeMember function', function () {
+          const reason = 'spam';
+
+          describe('if operator is calling', function () {
+            let accountPreBalance;
+
+            beforeEach(async function () {
+              accountPreBalance = await this.token.balanceOf(member);
+
+              ({ logs: this.logs } = await this.dao.removeMember(member, reason, { from: operator }));
+            });
+
+            it('should not be member', async function () {
+              (await this.dao.isMember(member)).should.be.equal(false);
+              (await this.dao.activeMembersNumber()).should.be.bignumber.equal(memberId.subn(1));
+            });
+
+            it('should give back staked tokens', async function () {
+              (await this.token.balanceOf(member)).should.be.bignumber.equal(accountPreBalance.add(tokenAmount));
+            });
+
+            it('should emit MemberRemoved', async function () {
+              expectEvent.inLogs(this.logs, 'MemberRemoved', {
+                account: member,
+                id: memberId,
+                reason: reason,
+              });
+            });
+
+            it('reverts removing again', async function () {
+              await expectRevert.unspecified(this.dao.removeMember(member, reason, { from: operator }));
+            });
+          });
+
+          describe('if another member delegated to the removed member', function () {
+            beforeEach(async function () {
+              await this.token.mintMock(anotherAccount, tokenAmount);
+              await this.token.transferAndCall(this.dao.address, tokenAmount, { from: anotherAccount });
+              await this.dao.delegate(member, { from: anotherAccount });
+
+              await this.dao.removeMember(member, reason, { from: operator });
+            });
+
+            it('should have no voting power until delegation is cleared', async function () {
+              (await this.dao.votesOf(anotherAccount)).should.be.bignumber.equal(new BN(0));
+            });
+
+            describe('clearing delegation', function () {
+              beforeEach(async function () {
+                ({ logs: this.logs } = await this.dao.clearDelegation(anotherAccount, { from: spender }));
+              });
+
+              it('should restore voting power', async function () {
+                (await this.dao.delegateOf(anotherAccount)).should.be.equal(ZERO_ADDRESS);
+                (await this.dao.votesOf(anotherAccount)).should.be.bignumber.equal(tokenAmount);
+              });
+
+              it('should emit DelegateChanged', async function () {
+                expectEvent.inLogs(this.logs, 'DelegateChanged', {
+                  delegator: anotherAccount,
+                  fromDelegate: member,
+                  toDelegate: ZERO_ADDRESS,
+                });
+              });
+
+              it('reverts clearing again', async function () {
+                await expectRevert.unspecified(this.dao.clearDelegation(anotherAccount, { from: spender }));
+              });
+            });
+          });
+
+          describe('if another account is calling', function () {
+            it('reverts', async function () {
+              await expectRevert.unspecified(this.dao.removeMember(member, reason, { from: anotherAccount }));
+              await expectRevert.unspecified(this.dao.removeMember(member, reason, { from: member }));
+            });
+          });
+        });
+      });
+
+      context('migrating members', function () {
+        const tokenAmount = new BN(5);
+
+        let preMemberStructure;
+
+        beforeEach(async function () {
+          await this.token.transferAndCall(this.dao.address, tokenAmount, { from: member });
+          await this.dao.setApproved(member, true, { from: operator });
+
+          preMemberStructure = structDecode(await this.dao.getMemberByAddress(member));
+        });
+
+        describe('via migrate function', function () {
+          describe('if member is calling', function () {
+            beforeEach(async function () {
+              ({ logs: this.logs } = await this.dao.migrate(anotherAccount, { from: member }));
+            });
+
+            it('should move membership to the new address', async function () {
+              (await this.dao.isMember(member)).should.be.equal(false);
+              (await this.dao.isMember(anotherAccount)).should.be.equal(true);
+            });
+
+            it('should preserve id, creation date, stake and approval', async function () {
+              const memberStructure = structDecode(await this.dao.getMemberByAddress(anotherAccount));
+
+              memberStructure.id.should.be.bignumber.equal(preMemberStructure.id);
+              memberStructure.account.should.be.equal(anotherAccount);
+              memberStructure.fingerprint.should.be.equal(preMemberStructure.fingerprint);
+              memberStructure.creationDate.should.be.bignumber.equal(preMemberStructure.creationDate);
+              memberStructure.stakedTokens.should.be.bignumber.equal(tokenAmount);
+              memberStructure.approved.should.be.equal(true);
+            });
+
+            it('should emit MemberMigrated', async function () {
+              expectEvent.inLogs(this.logs, 'MemberMigrated', {
+                from: member,
+                to: anotherAccount,
+                id: preMemberStructure.id,
+              });
+            });
+          });
+
+          describe('if new address is already a member', function () {
+            it('reverts', async function () {
+              await this.dao.join({ from: anotherAccount });
+
+              await expectRevert.unspecified(this.dao.migrate(anotherAccount, { from: member }));
+            });
+          });
+
+          describe('if new address is the zero address', function () {
+            it('reverts', async function () {
+              await expectRevert.unspecified(this.dao.migrate(ZERO_ADDRESS, { from: member }));
+            });
+          });
+
+          describe('if not member is calling', function () {
+            it('reverts', async function () {
+              await expectRevert.unspecified(this.dao.migrate(spender, { from: anotherAccount }));
+            });
+          });
+        });
+
+        describe('via operator request', function () {
+          const delay = time.duration.days(3);
+
+          beforeEach(async function () {
+            await this.dao.setMigrationDelay(delay, { from: creator });
+          });
+
+          describe('if operator is calling', function () {
+            let eta;
+
+            beforeEach(async function () {
+              ({ logs: this.logs } = await this.dao.requestMigration(member, anotherAccount, { from: operator }));
+
+              eta = (await time.latest()).add(delay);
+            });
+
+            it('should store the pending migration', async function () {
+              const migration = await this.dao.pendingMigrationOf(member);
+
+              migration.newAccount.should.be.equal(anotherAccount);
+              migration.eta.should.be.bignumber.equal(eta);
+            });
+
+            it('should emit MigrationRequested', async function () {
+              expectEvent.inLogs(this.logs, 'MigrationRequested', {
+                from: member,
+                to: anotherAccount,
+                eta: eta,
+              });
+            });
+
+            it('reverts executing before delay', async function () {
+              await expectRevert.unspecified(this.dao.executeMigration(member, { from: spender }));
+            });
+
+            describe('executing after delay', function () {
+              beforeEach(async function () {
+                await time.increaseTo(eta);
+
+                ({ logs: this.logs } = await this.dao.executeMigration(member, { from: spender }));
+              });
+
+              it('should move membership to the new address', async function () {
+                (await this.dao.isMember(member)).should.be.equal(false);
+
+                const memberStructure = structDecode(await this.dao.getMemberByAddress(anotherAccount));
+                memberStructure.id.should.be.bignumber.equal(preMemberStructure.id);
+                memberStructure.stakedTokens.should.be.bignumber.equal(tokenAmount);
+              });
+
+              it('should clear the pending migration', async function () {
+                (await this.dao.pendingMigrationOf(member)).newAccount.should.be.equal(ZERO_ADDRESS);
+              });
+
+              it('should emit MemberMigrated', async function () {
+                expectEvent.inLogs(this.logs, 'MemberMigrated', {
+                  from: member,
+                  to: anotherAccount,
+                  id: preMemberStructure.id,
+                });
+              });
+            });
+
+            describe('cancelling', function () {
+              describe('from member', function () {
+                beforeEach(async function () {
+                  ({ logs: this.logs } = await this.dao.cancelMigration(member, { from: member }));
+                });
+
+                it('should emit MigrationCancelled', async function () {
+                  expectEvent.inLogs(this.logs, 'MigrationCancelled', { account: member });
+                });
+
+                it('reverts executing', async function () {
+                  await time.increaseTo(eta);
+
+                  await expectRevert.unspecified(this.dao.executeMigration(member, { from: spender }));
+                });
+              });
+
+              describe('from operator', function () {
+                it('should cancel', async function () {
+                  await this.dao.cancelMigration(member, { from: operator });
+
+                  (await this.dao.pendingMigrationOf(member)).newAccount.should.be.equal(ZERO_ADDRESS);
+                });
+              });
+
+              describe('from another account', function () {
+                it('reverts', async function () {
+                  await expectRevert.unspecified(this.dao.cancelMigration(member, { from: anotherAccount }));
+                });
+              });
+            });
+
+            describe('if member migrates before execution', function () {
+              beforeEach(async function () {
+                await this.dao.migrate(spender, { from: member });
+              });
+
+              it('should clear the pending migration', async function () {
+                (await this.dao.pendingMigrationOf(member)).newAccount.should.be.equal(ZERO_ADDRESS);
+              });
+
+              it('reverts executing if address joins again', async function () {
+                await this.dao.join({ from: member });
+
+                await time.increaseTo(eta);
+
+                await expectRevert.unspecified(this.dao.executeMigration(member, { from: spender }));
+              });
+            });
+
+            describe('if member is removed before execution', function () {
+              beforeEach(async function () {
+                await this.dao.removeMember(member, 'reason', { from: operator });
+              });
+
+              it('should clear the pending migration', async function () {
+                (await this.dao.pendingMigrationOf(member)).newAccount.should.be.equal(ZERO_ADDRESS);
+              });
+
+              it('reverts executing if address joins again', async function () {
+                await this.dao.join({ from: member });
+
+                await time.increaseTo(eta);
+
+                await expectRevert.unspecified(this.dao.executeMigration(member, { from: spender }));
+              });
+            });
+          });
+
+          describe('if a migrator is calling', function () {
+            it('should request the migration', async function () {
+              await this.dao.addMigrator(spender, { from: creator });
+
+              await this.dao.requestMigration(member, anotherAccount, { from: spender });
+
+              (await this.dao.pendingMigrationOf(member)).newAccount.should.be.equal(anotherAccount);
+            });
+          });
+
+          describe('if another account is calling', function () {
+            it('reverts', async function () {
+              await expectRevert.unspecified(this.dao.requestMigration(member, anotherAccount, { from: member }));
+            });
+          });
+
+          describe('if account is not member', function () {
+            it('reverts', async function () {
+              await expectRevert.unspecified(this.dao.requestMigration(spender, anotherAccount, { from: operator }));
+            });
+          });
+        });
+
+        describe('setting migration delay', function () {
+          it('should change delay and emit MigrationDelayChanged', async function () {
+            const delay = time.duration.days(5);
+
+            const { logs } = await this.dao.setMigrationDelay(delay, { from: creator });
+
+            (await this.dao.migrationDelay()).should.be.bignumber.equal(delay);
+
+            expectEvent.inLogs(logs, 'MigrationDelayChanged', { delay: delay });
+          });
+
+          it('should start with the minimum delay', async function () {
+            (await this.dao.minMigrationDelay()).should.be.bignumber.equal(time.duration.days(1));
+            (await this.dao.migrationDelay()).should.be.bignumber.equal(time.duration.days(1));
+          });
+
+          it('reverts executing a migration before the default delay', async function () {
+            await this.dao.requestMigration(member, anotherAccount, { from: operator });
+
+            await expectRevert.unspecified(this.dao.executeMigration(member, { from: anotherAccount }));
+          });
+
+          it('reverts if lower than the minimum delay', async function () {
+            await expectRevert.unspecified(this.dao.setMigrationDelay(0, { from: creator }));
+            await expectRevert.unspecified(
+              this.dao.setMigrationDelay(time.duration.days(1).subn(1), { from: creator })
+            );
+          });
+
+          it('reverts from another account', async function () {
+            await expectRevert.unspecified(this.dao.setMigrationDelay(time.duration.days(1), { from: operator }));
+          });
+        });
+      });
+
       context('testing stake/unstake/use', function () {
         describe('stake tokens', function () {
           let tokenAmount;
@@ -536,20 +1019,409 @@ contract('DAO', function (
           });
         });
 
-        describe('use tokens', function () {
+        describe('lock tokens', function () {
+          const maxLockDuration = time.duration.years(4);
+          const duration = time.duration.years(1);
+
           let tokenAmount;
 
           beforeEach(async function () {
             tokenAmount = this.structure.stakedTokens;
 
-            await this.dao.stake(member, tokenAmount, { from: operator });
-
-            // the below call is because of staking by ERC1363 functions implies
-            // a transfer of tokens but we are using stake mock
-            await this.token.transfer(this.dao.address, tokenAmount, { from: member });
+            await this.token.transferAndCall(this.dao.address, tokenAmount, { from: member });
           });
 
-          describe('if user is member', function () {
+          describe('if member has enough staked tokens', function () {
+            let lockedUntil;
+
+            beforeEach(async function () {
+              ({ logs: this.logs } = await this.dao.lock(tokenAmount, duration, { from: member }));
+
+              lockedUntil = (await time.latest()).add(duration);
+            });
+
+            it('should lock tokens', async function () {
+              (await this.dao.lockedTokensOf(member)).should.be.bignumber.equal(tokenAmount);
+              (await this.dao.lockedUntil(member)).should.be.bignumber.equal(lockedUntil);
+            });
+
+            it('should boost weight', async function () {
+              (await this.dao.weightOf(member)).should.be.bignumber.equal(
+                tokenAmount.add(tokenAmount.mul(duration).div(maxLockDuration))
+              );
+            });
+
+            it('should emit TokensLocked', async function () {
+              expectEvent.inLogs(this.logs, 'TokensLocked', {
+                account: member,
+                value: tokenAmount,
+                lockedUntil: lockedUntil,
+              });
+            });
+
+            it('reverts unstaking locked tokens', async function () {
+              await expectRevert.unspecified(this.dao.unstake(tokenAmount, { from: member }));
+            });
+
+            it('reverts using locked tokens', async function () {
+              await expectRevert.unspecified(this.dao.use(member, tokenAmount, { from: dapp }));
+            });
+
+            describe('after lock expiration', function () {
+              beforeEach(async function () {
+                await time.increaseTo(lockedUntil);
+              });
+
+              it('should remove boost', async function () {
+                (await this.dao.weightOf(member)).should.be.bignumber.equal(tokenAmount);
+              });
+
+              it('should allow to unstake', async function () {
+                await this.dao.unstake(tokenAmount, { from: member });
+
+                (await this.dao.stakedTokensOf(member)).should.be.bignumber.equal(new BN(0));
+              });
+            });
+          });
+
+          describe('if member has not enough staked tokens', function () {
+            it('reverts', async function () {
+              await expectRevert.unspecified(this.dao.lock(tokenAmount.addn(1), duration, { from: member }));
+            });
+          });
+
+          describe('if duration is zero', function () {
+            it('reverts', async function () {
+              await expectRevert.unspecified(this.dao.lock(tokenAmount, 0, { from: member }));
+            });
+          });
+        });
+
+        describe('unbonding', function () {
+          const cooldown = time.duration.days(7);
+
+          let tokenAmount;
+
+          beforeEach(async function () {
+            tokenAmount = this.structure.stakedTokens;
+
+            await this.token.transferAndCall(this.dao.address, tokenAmount, { from: member });
+          });
+
+          it('should start with zero unstake cooldown', async function () {
+            (await this.dao.unstakeCooldown()).should.be.bignumber.equal(new BN(0));
+          });
+
+          describe('set unstake cooldown', function () {
+            describe('from owner', function () {
+              it('should change cooldown and emit UnstakeCooldownChanged', async function () {
+                const { logs } = await this.dao.setUnstakeCooldown(cooldown, { from: creator });
+
+                (await this.dao.unstakeCooldown()).should.be.bignumber.equal(cooldown);
+
+                expectEvent.inLogs(logs, 'UnstakeCooldownChanged', { cooldown: cooldown });
+              });
+            });
+
+            describe('from another account', function () {
+              it('reverts', async function () {
+                await expectRevert.unspecified(this.dao.setUnstakeCooldown(cooldown, { from: operator }));
+              });
+            });
+          });
+
+          context('if unstake cooldown is set', function () {
+            beforeEach(async function () {
+              await this.dao.setUnstakeCooldown(cooldown, { from: creator });
+            });
+
+            describe('unstake', function () {
+              it('reverts', async function () {
+                await expectRevert.unspecified(this.dao.unstake(tokenAmount, { from: member }));
+              });
+            });
+
+            describe('request unstake', function () {
+              let releaseDate;
+
+              beforeEach(async function () {
+                ({ logs: this.logs } = await this.dao.requestUnstake(tokenAmount, { from: member }));
+
+                releaseDate = (await time.latest()).add(cooldown);
+              });
+
+              it('should move staked tokens to pending', async function () {
+                (await this.dao.stakedTokensOf(member)).should.be.bignumber.equal(new BN(0));
+                (await this.dao.totalStakedTokens()).should.be.bignumber.equal(new BN(0));
+                (await this.dao.pendingTokensOf(member)).should.be.bignumber.equal(tokenAmount);
+                (await this.dao.totalPendingTokens()).should.be.bignumber.equal(tokenAmount);
+                (await this.dao.releaseDateOf(member)).should.be.bignumber.equal(releaseDate);
+              });
+
+              it('should emit UnstakeRequested', async function () {
+                expectEvent.inLogs(this.logs, 'UnstakeRequested', {
+                  account: member,
+                  value: tokenAmount,
+                  releaseDate: releaseDate,
+                });
+              });
+
+              it('pending tokens cannot be used', async function () {
+                await expectRevert.unspecified(this.dao.use(member, tokenAmount, { from: dapp }));
+              });
+
+              it('pending tokens cannot be recovered', async function () {
+                await expectRevert.unspecified(this.dao.recoverERC20(this.token.address, 1, { from: creator }));
+              });
+
+              describe('withdraw before release date', function () {
+                it('reverts', async function () {
+                  await expectRevert.unspecified(this.dao.withdraw({ from: member }));
+                });
+              });
+
+              describe('withdraw after release date', function () {
+                let accountPreBalance;
+
+                beforeEach(async function () {
+                  accountPreBalance = await this.token.balanceOf(member);
+
+                  await time.increaseTo(releaseDate);
+
+                  ({ logs: this.logs } = await this.dao.withdraw({ from: member }));
+                });
+
+                it('should transfer pending tokens', async function () {
+                  (await this.token.balanceOf(member)).should.be.bignumber.equal(accountPreBalance.add(tokenAmount));
+                  (await this.dao.pendingTokensOf(member)).should.be.bignumber.equal(new BN(0));
+                  (await this.dao.totalPendingTokens()).should.be.bignumber.equal(new BN(0));
+                });
+
+                it('should emit TokensWithdrawn', async function () {
+                  expectEvent.inLogs(this.logs, 'TokensWithdrawn', {
+                    account: member,
+                    value: tokenAmount,
+                  });
+                });
+              });
+            });
+
+            describe('request unstake more than staked', function () {
+              it('reverts', async function () {
+                await expectRevert.unspecified(this.dao.requestUnstake(tokenAmount.addn(1), { from: member }));
+              });
+            });
+          });
+        });
+
+        describe('staking rewards', function () {
+          const rewardAmount = new BN(100);
+
+          let tokenAmount;
+
+          beforeEach(async function () {
+            tokenAmount = this.structure.stakedTokens;
+
+            await this.token.transferAndCall(this.dao.address, tokenAmount, { from: member });
+
+            await this.dao.addFunder(funder, { from: creator });
+            await this.token.mintMock(funder, rewardAmount);
+            await this.token.approve(this.dao.address, rewardAmount, { from: funder });
+          });
+
+          describe('adding rewards', function () {
+            describe('from funder', function () {
+              beforeEach(async function () {
+                ({ logs: this.logs } = await this.dao.addRewards(rewardAmount, { from: funder }));
+              });
+
+              it('should transfer reward tokens', async function () {
+                (await this.token.balanceOf(funder)).should.be.bignumber.equal(new BN(0));
+                (await this.dao.totalRewards()).should.be.bignumber.equal(rewardAmount);
+              });
+
+              it('should distribute rewards to stakers', async function () {
+                (await this.dao.earned(member)).should.be.bignumber.equal(rewardAmount);
+              });
+
+              it('should emit RewardsAdded', async function () {
+                expectEvent.inLogs(this.logs, 'RewardsAdded', {
+                  funder: funder,
+                  value: rewardAmount,
+                });
+              });
+
+              it('rewards cannot be recovered', async function () {
+                await expectRevert.unspecified(this.dao.recoverERC20(this.token.address, 1, { from: creator }));
+              });
+
+              it('should keep rewards after unstake', async function () {
+                await this.dao.unstake(tokenAmount, { from: member });
+
+                (await this.dao.earned(member)).should.be.bignumber.equal(rewardAmount);
+              });
+
+              describe('claiming rewards', function () {
+                let accountPreBalance;
+
+                beforeEach(async function () {
+                  accountPreBalance = await this.token.balanceOf(member);
+
+                  ({ logs: this.logs } = await this.dao.claimRewards({ from: member }));
+                });
+
+                it('should transfer rewards', async function () {
+                  (await this.token.balanceOf(member)).should.be.bignumber.equal(accountPreBalance.add(rewardAmount));
+                  (await this.dao.earned(member)).should.be.bignumber.equal(new BN(0));
+                  (await this.dao.totalRewards()).should.be.bignumber.equal(new BN(0));
+                });
+
+                it('should emit RewardsClaimed', async function () {
+                  expectEvent.inLogs(this.logs, 'RewardsClaimed', {
+                    account: member,
+                    value: rewardAmount,
+                  });
+                });
+              });
+            });
+
+            describe('from another account', function () {
+              it('reverts', async function () {
+                await expectRevert.unspecified(this.dao.addRewards(rewardAmount, { from: anotherAccount }));
+              });
+            });
+          });
+
+          describe('claiming without rewards', function () {
+            it('reverts', async function () {
+              await expectRevert.unspecified(this.dao.claimRewards({ from: member }));
+            });
+          });
+        });
+
+        describe('staked tokens history', function () {
+          let tokenAmount;
+          let stakeBlock;
+          let unstakeBlock;
+
+          beforeEach(async function () {
+            tokenAmount = this.structure.stakedTokens;
+
+            await this.token.transferAndCall(this.dao.address, tokenAmount, { from: member });
+            stakeBlock = await time.latestBlock();
+
+            await this.dao.unstake(tokenAmount, { from: member });
+            unstakeBlock = await time.latestBlock();
+
+            await time.advanceBlock();
+          });
+
+          it('should return member staked tokens at a block', async function () {
+            (await this.dao.stakedTokensAt(member, stakeBlock.subn(1))).should.be.bignumber.equal(new BN(0));
+            (await this.dao.stakedTokensAt(member, stakeBlock)).should.be.bignumber.equal(tokenAmount);
+            (await this.dao.stakedTokensAt(member, unstakeBlock)).should.be.bignumber.equal(new BN(0));
+          });
+
+          it('should return total staked tokens at a block', async function () {
+            (await this.dao.totalStakedTokensAt(stakeBlock.subn(1))).should.be.bignumber.equal(new BN(0));
+            (await this.dao.totalStakedTokensAt(stakeBlock)).should.be.bignumber.equal(tokenAmount);
+            (await this.dao.totalStakedTokensAt(unstakeBlock)).should.be.bignumber.equal(new BN(0));
+          });
+
+          it('reverts if block is not yet mined', async function () {
+            const nextBlock = (await time.latestBlock()).addn(1);
+
+            await expectRevert.unspecified(this.dao.stakedTokensAt(member, nextBlock));
+            await expectRevert.unspecified(this.dao.totalStakedTokensAt(nextBlock));
+          });
+        });
+
+        describe('delegation', function () {
+          let tokenAmount;
+
+          beforeEach(async function () {
+            tokenAmount = this.structure.stakedTokens;
+
+            await this.token.transferAndCall(this.dao.address, tokenAmount, { from: member });
+            await this.dao.newMember(anotherAccount, { from: operator });
+          });
+
+          describe('delegate', function () {
+            beforeEach(async function () {
+              ({ logs: this.logs } = await this.dao.delegate(anotherAccount, { from: member }));
+            });
+
+            it('should move voting power to delegatee', async function () {
+              (await this.dao.delegateOf(member)).should.be.equal(anotherAccount);
+              (await this.dao.votesOf(member)).should.be.bignumber.equal(new BN(0));
+              (await this.dao.delegatedTokensOf(anotherAccount)).should.be.bignumber.equal(tokenAmount);
+              (await this.dao.votesOf(anotherAccount)).should.be.bignumber.equal(tokenAmount);
+            });
+
+            it('should store voting power history', async function () {
+              const delegateBlock = await time.latestBlock();
+              await time.advanceBlock();
+
+              (await this.dao.votesAt(member, delegateBlock.subn(1))).should.be.bignumber.equal(tokenAmount);
+              (await this.dao.votesAt(anotherAccount, delegateBlock)).should.be.bignumber.equal(tokenAmount);
+            });
+
+            it('should emit DelegateChanged', async function () {
+              expectEvent.inLogs(this.logs, 'DelegateChanged', {
+                delegator: member,
+                fromDelegate: ZERO_ADDRESS,
+                toDelegate: anotherAccount,
+              });
+            });
+
+            describe('undelegate', function () {
+              beforeEach(async function () {
+                ({ logs: this.logs } = await this.dao.undelegate({ from: member }));
+              });
+
+              it('should restore voting power', async function () {
+                (await this.dao.delegateOf(member)).should.be.equal(ZERO_ADDRESS);
+                (await this.dao.votesOf(member)).should.be.bignumber.equal(tokenAmount);
+                (await this.dao.votesOf(anotherAccount)).should.be.bignumber.equal(new BN(0));
+              });
+
+              it('should emit DelegateChanged', async function () {
+                expectEvent.inLogs(this.logs, 'DelegateChanged', {
+                  delegator: member,
+                  fromDelegate: anotherAccount,
+                  toDelegate: ZERO_ADDRESS,
+                });
+              });
+            });
+          });
+
+          describe('if delegatee is not member', function () {
+            it('reverts', async function () {
+              await expectRevert.unspecified(this.dao.delegate(spender, { from: member }));
+            });
+          });
+
+          describe('if user is not member', function () {
+            it('reverts', async function () {
+              await expectRevert.unspecified(this.dao.delegate(member, { from: spender }));
+            });
+          });
+        });
+
+        describe('use tokens', function () {
+          let tokenAmount;
+
+          beforeEach(async function () {
+            tokenAmount = this.structure.stakedTokens;
+
+            await this.dao.stake(member, tokenAmount, { from: operator });
+
+            // the below call is because of staking by ERC1363 functions implies
+            // a transfer of tokens but we are using stake mock
+            await this.token.transfer(this.dao.address, tokenAmount, { from: member });
+          });
+
+          describe('if user is member', function () {
             describe('if member has enough staked token', function () {
               describe('if not a dapp is calling', function () {
                 it('reverts', async function () {
@@ -617,6 +1489,12 @@ contract('DAO', function (
                   );
                 });
 
+                it('should increase member and total used tokens by dapp', async function () {
+                  (await this.dao.usedTokensOf(member, dapp)).should.be.bignumber.equal(tokenAmount);
+                  (await this.dao.usedTokensOf(member, operator)).should.be.bignumber.equal(new BN(0));
+                  (await this.dao.totalUsedBy(dapp)).should.be.bignumber.equal(tokenAmount);
+                });
+
                 it('should decrease contract token balance', async function () {
                   (await this.token.balanceOf(this.dao.address)).should.be.bignumber.equal(
                     contractPreBalance.sub(tokenAmount)
@@ -660,6 +1538,493 @@ contract('DAO', function (
             });
           });
         });
+
+        describe('refund tokens', function () {
+          let tokenAmount;
+
+          beforeEach(async function () {
+            tokenAmount = this.structure.stakedTokens;
+
+            await this.token.transferAndCall(this.dao.address, tokenAmount, { from: member });
+            await this.dao.use(member, tokenAmount, { from: dapp });
+          });
+
+          describe('if a dapp is calling', function () {
+            describe('if dapp approved tokens', function () {
+              let daoPreBalance;
+
+              beforeEach(async function () {
+                daoPreBalance = await this.token.balanceOf(this.dao.address);
+
+                await this.token.approve(this.dao.address, tokenAmount, { from: dapp });
+
+                ({ logs: this.logs } = await this.dao.refund(member, tokenAmount, { from: dapp }));
+              });
+
+              it('should move used tokens back to staked tokens', async function () {
+                (await this.dao.usedTokensOf(member)).should.be.bignumber.equal(new BN(0));
+                (await this.dao.totalUsedTokens()).should.be.bignumber.equal(new BN(0));
+                (await this.dao.stakedTokensOf(member)).should.be.bignumber.equal(tokenAmount);
+                (await this.dao.totalStakedTokens()).should.be.bignumber.equal(tokenAmount);
+              });
+
+              it('should decrease used tokens by dapp', async function () {
+                (await this.dao.usedTokensOf(member, dapp)).should.be.bignumber.equal(new BN(0));
+                (await this.dao.totalUsedBy(dapp)).should.be.bignumber.equal(new BN(0));
+              });
+
+              it('should transfer tokens from dapp', async function () {
+                (await this.token.balanceOf(dapp)).should.be.bignumber.equal(new BN(0));
+                (await this.token.balanceOf(this.dao.address)).should.be.bignumber.equal(
+                  daoPreBalance.add(tokenAmount)
+                );
+              });
+
+              it('should emit TokensRefunded', async function () {
+                expectEvent.inLogs(this.logs, 'TokensRefunded', {
+                  account: member,
+                  dapp: dapp,
+                  value: tokenAmount,
+                });
+              });
+            });
+
+            describe('if dapp did not approve tokens', function () {
+              it('reverts', async function () {
+                await expectRevert.unspecified(this.dao.refund(member, tokenAmount, { from: dapp }));
+              });
+            });
+
+            describe('if refunding more than used tokens', function () {
+              it('reverts', async function () {
+                await this.token.mintMock(dapp, 1);
+                await this.token.approve(this.dao.address, tokenAmount.addn(1), { from: dapp });
+
+                await expectRevert.unspecified(this.dao.refund(member, tokenAmount.addn(1), { from: dapp }));
+              });
+            });
+          });
+
+          describe('if not a dapp is calling', function () {
+            it('reverts', async function () {
+              await expectRevert.unspecified(this.dao.refund(member, tokenAmount, { from: operator }));
+            });
+          });
+        });
+
+        describe('dapp allowances', function () {
+          const allowance = new BN(3);
+
+          let tokenAmount;
+
+          beforeEach(async function () {
+            tokenAmount = this.structure.stakedTokens;
+
+            await this.token.transferAndCall(this.dao.address, tokenAmount, { from: member });
+          });
+
+          describe('approving a dapp', function () {
+            let expiry;
+
+            beforeEach(async function () {
+              expiry = (await time.latest()).add(time.duration.days(1));
+
+              ({ logs: this.logs } = await this.dao.approveDapp(dapp, allowance, expiry, { from: member }));
+            });
+
+            it('should set allowance', async function () {
+              (await this.dao.allowance(member, dapp)).should.be.bignumber.equal(allowance);
+            });
+
+            it('should emit DappAllowanceChanged', async function () {
+              expectEvent.inLogs(this.logs, 'DappAllowanceChanged', {
+                account: member,
+                dapp: dapp,
+                amount: allowance,
+                expiry: expiry,
+              });
+            });
+
+            it('should decrease allowance when using tokens', async function () {
+              await this.dao.use(member, allowance, { from: dapp });
+
+              (await this.dao.allowance(member, dapp)).should.be.bignumber.equal(new BN(0));
+            });
+
+            it('reverts using more than allowance', async function () {
+              await expectRevert.unspecified(this.dao.use(member, allowance.addn(1), { from: dapp }));
+            });
+
+            it('reverts using after expiry', async function () {
+              await time.increaseTo(expiry);
+
+              await expectRevert.unspecified(this.dao.use(member, 1, { from: dapp }));
+            });
+          });
+
+          describe('revoking a dapp', function () {
+            beforeEach(async function () {
+              ({ logs: this.logs } = await this.dao.revokeDapp(dapp, { from: member }));
+            });
+
+            it('should clear allowance', async function () {
+              (await this.dao.allowance(member, dapp)).should.be.bignumber.equal(new BN(0));
+            });
+
+            it('should emit DappAllowanceChanged', async function () {
+              expectEvent.inLogs(this.logs, 'DappAllowanceChanged', {
+                account: member,
+                dapp: dapp,
+                amount: new BN(0),
+                expiry: new BN(0),
+              });
+            });
+
+            it('reverts using tokens', async function () {
+              await expectRevert.unspecified(this.dao.use(member, 1, { from: dapp }));
+            });
+          });
+        });
+
+        describe('revenue share', function () {
+          const share = new BN(20);
+          const tokenAmount = new BN(50);
+
+          beforeEach(async function () {
+            await this.token.transferAndCall(this.dao.address, tokenAmount, { from: member });
+
+            await this.token.mintMock(anotherAccount, tokenAmount);
+            await this.token.transferAndCall(this.dao.address, tokenAmount, { from: anotherAccount });
+          });
+
+          it('should start with zero revenue share', async function () {
+            (await this.dao.revenueShare()).should.be.bignumber.equal(new BN(0));
+            (await this.dao.revenueShareOf(dapp)).should.be.bignumber.equal(new BN(0));
+            (await this.dao.treasury()).should.be.equal(ZERO_ADDRESS);
+          });
+
+          describe('setting revenue share', function () {
+            describe('from owner', function () {
+              it('should change revenue share and emit RevenueShareChanged', async function () {
+                const { logs } = await this.dao.setRevenueShare(share, { from: creator });
+
+                (await this.dao.revenueShare()).should.be.bignumber.equal(share);
+                (await this.dao.revenueShareOf(dapp)).should.be.bignumber.equal(share);
+
+                expectEvent.inLogs(logs, 'RevenueShareChanged', { share: share });
+              });
+
+              it('reverts if greater than 100', async function () {
+                await expectRevert.unspecified(this.dao.setRevenueShare(101, { from: creator }));
+              });
+            });
+
+            describe('from another account', function () {
+              it('reverts', async function () {
+                await expectRevert.unspecified(this.dao.setRevenueShare(share, { from: operator }));
+                await expectRevert.unspecified(this.dao.setDappRevenueShare(dapp, true, share, { from: operator }));
+                await expectRevert.unspecified(this.dao.setTreasury(spender, { from: operator }));
+              });
+            });
+          });
+
+          context('if revenue share is set', function () {
+            beforeEach(async function () {
+              await this.dao.setRevenueShare(share, { from: creator });
+            });
+
+            describe('distributing to stakers', function () {
+              beforeEach(async function () {
+                ({ logs: this.logs } = await this.dao.use(member, tokenAmount, { from: dapp }));
+              });
+
+              it('should transfer tokens without share to dapp', async function () {
+                (await this.token.balanceOf(dapp)).should.be.bignumber.equal(new BN(40));
+                (await this.dao.usedTokensOf(member)).should.be.bignumber.equal(tokenAmount);
+              });
+
+              it('should distribute share to remaining stakers', async function () {
+                (await this.dao.earned(anotherAccount)).should.be.bignumber.equal(new BN(10));
+                (await this.dao.earned(member)).should.be.bignumber.equal(new BN(0));
+              });
+
+              it('should emit RevenueShared', async function () {
+                expectEvent.inLogs(this.logs, 'RevenueShared', {
+                  dapp: dapp,
+                  treasury: ZERO_ADDRESS,
+                  value: new BN(10),
+                });
+              });
+            });
+
+            describe('sending to treasury', function () {
+              beforeEach(async function () {
+                ({ logs: this.logs } = await this.dao.setTreasury(spender, { from: creator }));
+              });
+
+              it('should emit TreasuryChanged', async function () {
+                expectEvent.inLogs(this.logs, 'TreasuryChanged', { treasury: spender });
+              });
+
+              it('should transfer share to treasury', async function () {
+                ({ logs: this.logs } = await this.dao.use(member, tokenAmount, { from: dapp }));
+
+                (await this.token.balanceOf(dapp)).should.be.bignumber.equal(new BN(40));
+                (await this.token.balanceOf(spender)).should.be.bignumber.equal(new BN(10));
+
+                expectEvent.inLogs(this.logs, 'RevenueShared', {
+                  dapp: dapp,
+                  treasury: spender,
+                  value: new BN(10),
+                });
+              });
+            });
+
+            describe('if there are no remaining stakers and no treasury', function () {
+              it('should transfer all tokens to dapp', async function () {
+                await this.dao.use(anotherAccount, tokenAmount, { from: dapp });
+                await this.dao.use(member, tokenAmount, { from: dapp });
+
+                (await this.token.balanceOf(dapp)).should.be.bignumber.equal(new BN(90));
+              });
+            });
+
+            describe('with a dapp override', function () {
+              beforeEach(async function () {
+                ({ logs: this.logs } = await this.dao.setDappRevenueShare(dapp, true, 0, { from: creator }));
+              });
+
+              it('should use dapp revenue share', async function () {
+                (await this.dao.revenueShareOf(dapp)).should.be.bignumber.equal(new BN(0));
+
+                await this.dao.use(member, tokenAmount, { from: dapp });
+
+                (await this.token.balanceOf(dapp)).should.be.bignumber.equal(tokenAmount);
+              });
+
+              it('should emit DappRevenueShareChanged', async function () {
+                expectEvent.inLogs(this.logs, 'DappRevenueShareChanged', {
+                  dapp: dapp,
+                  enabled: true,
+                  share: new BN(0),
+                });
+              });
+
+              it('should use revenue share once override is disabled', async function () {
+                await this.dao.setDappRevenueShare(dapp, false, 0, { from: creator });
+
+                (await this.dao.revenueShareOf(dapp)).should.be.bignumber.equal(share);
+              });
+            });
+          });
+        });
+
+        describe('dapp registry', function () {
+          it('should start without registry', async function () {
+            (await this.dao.dappRegistry()).should.be.equal(ZERO_ADDRESS);
+          });
+
+          describe('setting registry', function () {
+            describe('from owner', function () {
+              beforeEach(async function () {
+                ({ logs: this.logs } = await this.dao.setDappRegistry(spender, { from: creator }));
+              });
+
+              it('should set registry and emit DappRegistryChanged', async function () {
+                (await this.dao.dappRegistry()).should.be.equal(spender);
+
+                expectEvent.inLogs(this.logs, 'DappRegistryChanged', { registry: spender });
+              });
+
+              it('should let only registry add or remove dapps', async function () {
+                await expectRevert.unspecified(this.dao.addDapp(anotherAccount, { from: operator }));
+                await expectRevert.unspecified(this.dao.removeDapp(dapp, { from: operator }));
+
+                await this.dao.addDapp(anotherAccount, { from: spender });
+                (await this.dao.isDapp(anotherAccount)).should.be.equal(true);
+
+                await this.dao.removeDapp(dapp, { from: spender });
+                (await this.dao.isDapp(dapp)).should.be.equal(false);
+              });
+
+              it('should let operators add dapps if registry is removed', async function () {
+                await this.dao.setDappRegistry(ZERO_ADDRESS, { from: creator });
+
+                await this.dao.addDapp(anotherAccount, { from: operator });
+                (await this.dao.isDapp(anotherAccount)).should.be.equal(true);
+              });
+            });
+
+            describe('from another account', function () {
+              it('reverts', async function () {
+                await expectRevert.unspecified(this.dao.setDappRegistry(spender, { from: operator }));
+              });
+            });
+          });
+        });
+
+        describe('dapp caps', function () {
+          beforeEach(async function () {
+            this.caps = await DappCaps.new(this.dao.address, { from: creator });
+          });
+
+          it('should start without caps', async function () {
+            (await this.dao.dappCaps()).should.be.equal(ZERO_ADDRESS);
+          });
+
+          describe('setting caps', function () {
+            describe('from owner', function () {
+              beforeEach(async function () {
+                await this.token.transferAndCall(this.dao.address, new BN(50), { from: member });
+
+                ({ logs: this.logs } = await this.dao.setDappCaps(this.caps.address, { from: creator }));
+              });
+
+              it('should set caps and emit DappCapsChanged', async function () {
+                (await this.dao.dappCaps()).should.be.equal(this.caps.address);
+
+                expectEvent.inLogs(this.logs, 'DappCapsChanged', { dappCaps: this.caps.address });
+              });
+
+              it('should account uses into caps', async function () {
+                await this.caps.setDappCap(dapp, time.duration.days(1), new BN(30), new BN(20), { from: operator });
+
+                await this.dao.use(member, new BN(15), { from: dapp });
+
+                (await this.caps.remainingDappBudget(dapp)).should.be.bignumber.equal(new BN(15));
+                await expectRevert.unspecified(this.dao.use(member, new BN(6), { from: dapp }));
+              });
+
+              it('should not cap uses if removed', async function () {
+                await this.caps.setDappCap(dapp, time.duration.days(1), new BN(30), new BN(20), { from: operator });
+                await this.dao.setDappCaps(ZERO_ADDRESS, { from: creator });
+
+                await this.dao.use(member, new BN(50), { from: dapp });
+              });
+            });
+
+            describe('from another account', function () {
+              it('reverts', async function () {
+                await expectRevert.unspecified(this.dao.setDappCaps(this.caps.address, { from: operator }));
+              });
+            });
+          });
+        });
+
+        describe('membership tiers', function () {
+          const minStakes = [new BN(10), new BN(100)];
+          const minAges = [new BN(0), time.duration.days(30)];
+
+          beforeEach(async function () {
+            await this.token.transferAndCall(this.dao.address, new BN(5), { from: member });
+          });
+
+          it('should start with no tiers', async function () {
+            (await this.dao.tiersNumber()).should.be.bignumber.equal(new BN(0));
+            (await this.dao.tierOf(member)).should.be.bignumber.equal(new BN(0));
+          });
+
+          describe('setting tiers', function () {
+            describe('from owner', function () {
+              it('should set tiers and emit TiersChanged', async function () {
+                const { logs } = await this.dao.setTiers(minStakes, minAges, { from: creator });
+
+                (await this.dao.tiersNumber()).should.be.bignumber.equal(new BN(2));
+
+                const tier = await this.dao.getTier(2);
+                tier.minStake.should.be.bignumber.equal(minStakes[1]);
+                tier.minAge.should.be.bignumber.equal(minAges[1]);
+
+                expectEvent.inLogs(logs, 'TiersChanged');
+              });
+
+              it('reverts if lengths are different', async function () {
+                await expectRevert.unspecified(this.dao.setTiers(minStakes, [0], { from: creator }));
+              });
+
+              it('reverts if thresholds are decreasing', async function () {
+                await expectRevert.unspecified(this.dao.setTiers([100, 10], [0, 0], { from: creator }));
+                await expectRevert.unspecified(this.dao.setTiers([10, 100], [10, 0], { from: creator }));
+              });
+            });
+
+            describe('from another account', function () {
+              it('reverts', async function () {
+                await expectRevert.unspecified(this.dao.setTiers(minStakes, minAges, { from: operator }));
+              });
+            });
+          });
+
+          context('if tiers are set', function () {
+            beforeEach(async function () {
+              await this.dao.setTiers(minStakes, minAges, { from: creator });
+            });
+
+            it('should return zero for not members', async function () {
+              (await this.dao.tierOf(anotherAccount)).should.be.bignumber.equal(new BN(0));
+            });
+
+            it('should be base tier if no threshold is reached', async function () {
+              (await this.dao.tierOf(member)).should.be.bignumber.equal(new BN(0));
+            });
+
+            describe('staking tokens', function () {
+              beforeEach(async function () {
+                this.receipt = await this.token.transferAndCall(this.dao.address, new BN(95), { from: member });
+              });
+
+              it('should reach tier by stake if too young for the next one', async function () {
+                (await this.dao.tierOf(member)).should.be.bignumber.equal(new BN(1));
+              });
+
+              it('should emit TierChanged', async function () {
+                await expectEvent.inTransaction(this.receipt.tx, DAO, 'TierChanged', {
+                  account: member,
+                  fromTier: new BN(0),
+                  toTier: new BN(1),
+                });
+              });
+
+              it('should reach next tier after seniority', async function () {
+                await time.increase(minAges[1]);
+
+                (await this.dao.tierOf(member)).should.be.bignumber.equal(new BN(2));
+              });
+
+              describe('unstaking tokens', function () {
+                it('should emit TierChanged', async function () {
+                  ({ logs: this.logs } = await this.dao.unstake(new BN(91), { from: member }));
+
+                  (await this.dao.tierOf(member)).should.be.bignumber.equal(new BN(0));
+
+                  expectEvent.inLogs(this.logs, 'TierChanged', {
+                    account: member,
+                    fromTier: new BN(1),
+                    toTier: new BN(0),
+                  });
+                });
+
+                it('should not emit TierChanged if tier does not change', async function () {
+                  ({ logs: this.logs } = await this.dao.unstake(new BN(1), { from: member }));
+
+                  (this.logs.find(e => e.event === 'TierChanged') === undefined).should.be.equal(true);
+                });
+              });
+
+              describe('using tokens', function () {
+                it('should emit TierChanged', async function () {
+                  ({ logs: this.logs } = await this.dao.use(member, new BN(91), { from: dapp }));
+
+                  expectEvent.inLogs(this.logs, 'TierChanged', {
+                    account: member,
+                    fromTier: new BN(1),
+                    toTier: new BN(0),
+                  });
+                });
+              });
+            });
+          });
+        });
       });
     });
 
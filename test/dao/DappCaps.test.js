@@ -0,0 +1,188 @@
+const { BN, constants, expectRevert, expectEvent, time } = require('openzeppelin-test-helpers');
+const { ZERO_ADDRESS } = constants;
+
+const ERC1363 = artifacts.require('ERC1363Mock');
+const DAO = artifacts.require('DAOMock');
+const DappCaps = artifacts.require('DappCaps');
+
+contract('DappCaps', function (
+  [
+    creator,
+    operator,
+    dapp,
+    member,
+    anotherAccount,
+    ...accounts
+  ]
+) {
+  const tokenBalance = new BN(50);
+  const epochLength = time.duration.days(1);
+  const totalCap = new BN(30);
+  const memberCap = new BN(20);
+  const maxBudget = new BN(2).pow(new BN(256)).subn(1);
+
+  before(async function () {
+    // Advance to the next block to correctly read time in the solidity "now" function interpreted by ganache
+    await time.advanceBlock();
+  });
+
+  beforeEach(async function () {
+    this.token = await ERC1363.new(creator, 0);
+
+    this.dao = await DAO.new(this.token.address, { from: creator });
+
+    await this.dao.addOperator(operator, { from: creator });
+    await this.dao.addDapp(dapp, { from: operator });
+  });
+
+  context('testing constructor', function () {
+    describe('if dao is the zero address', function () {
+      it('reverts', async function () {
+        await expectRevert.unspecified(DappCaps.new(ZERO_ADDRESS));
+      });
+    });
+  });
+
+  context('if valid constructor', function () {
+    beforeEach(async function () {
+      this.caps = await DappCaps.new(this.dao.address, { from: creator });
+
+      await this.dao.setDappCaps(this.caps.address, { from: creator });
+
+      await this.token.mintMock(member, tokenBalance);
+      await this.token.transferAndCall(this.dao.address, tokenBalance, { from: member });
+      await this.dao.approveDapp(dapp, tokenBalance, 0, { from: member });
+
+      await this.token.mintMock(anotherAccount, tokenBalance);
+      await this.token.transferAndCall(this.dao.address, tokenBalance, { from: anotherAccount });
+      await this.dao.approveDapp(dapp, tokenBalance, 0, { from: anotherAccount });
+    });
+
+    it('should have DAO set', async function () {
+      (await this.caps.dao()).should.be.equal(this.dao.address);
+    });
+
+    it('reverts spending if not DAO', async function () {
+      await expectRevert.unspecified(this.caps.spend(dapp, member, 1, { from: dapp }));
+    });
+
+    it('should start without caps', async function () {
+      (await this.caps.dappCapOf(dapp)).epochLength.should.be.bignumber.equal(new BN(0));
+      (await this.caps.remainingDappBudget(dapp)).should.be.bignumber.equal(maxBudget);
+      (await this.caps.remainingMemberBudget(dapp, member)).should.be.bignumber.equal(maxBudget);
+    });
+
+    describe('setting caps', function () {
+      describe('from operator', function () {
+        it('should set caps and emit DappCapChanged', async function () {
+          const { logs } = await this.caps.setDappCap(dapp, epochLength, totalCap, memberCap, { from: operator });
+
+          const cap = await this.caps.dappCapOf(dapp);
+          cap.epochLength.should.be.bignumber.equal(epochLength);
+          cap.totalCap.should.be.bignumber.equal(totalCap);
+          cap.memberCap.should.be.bignumber.equal(memberCap);
+
+          expectEvent.inLogs(logs, 'DappCapChanged', {
+            dapp: dapp,
+            epochLength: epochLength,
+            totalCap: totalCap,
+            memberCap: memberCap,
+          });
+        });
+      });
+
+      describe('from another account', function () {
+        it('reverts', async function () {
+          await expectRevert.unspecified(
+            this.caps.setDappCap(dapp, epochLength, totalCap, memberCap, { from: anotherAccount })
+          );
+        });
+      });
+    });
+
+    context('if caps are set', function () {
+      beforeEach(async function () {
+        await this.caps.setDappCap(dapp, epochLength, totalCap, memberCap, { from: operator });
+      });
+
+      describe('using tokens', function () {
+        beforeEach(async function () {
+          await this.dao.use(member, new BN(15), { from: dapp });
+        });
+
+        it('should decrease remaining budgets', async function () {
+          (await this.caps.remainingDappBudget(dapp)).should.be.bignumber.equal(new BN(15));
+          (await this.caps.remainingMemberBudget(dapp, member)).should.be.bignumber.equal(new BN(5));
+          (await this.caps.remainingMemberBudget(dapp, anotherAccount)).should.be.bignumber.equal(new BN(15));
+        });
+
+        it('should emit DappMemberCapReached if member cap is hit', async function () {
+          const { tx } = await this.dao.use(member, new BN(5), { from: dapp });
+
+          await expectEvent.inTransaction(tx, DappCaps, 'DappMemberCapReached', { dapp: dapp, account: member });
+        });
+
+        it('reverts exceeding member cap', async function () {
+          await expectRevert.unspecified(this.dao.use(member, new BN(6), { from: dapp }));
+        });
+
+        it('should emit DappCapReached if total cap is hit', async function () {
+          const { tx } = await this.dao.use(anotherAccount, new BN(15), { from: dapp });
+
+          await expectEvent.inTransaction(tx, DappCaps, 'DappCapReached', { dapp: dapp });
+        });
+
+        it('reverts exceeding total cap', async function () {
+          await expectRevert.unspecified(this.dao.use(anotherAccount, new BN(16), { from: dapp }));
+        });
+
+        describe('in the next epoch', function () {
+          it('should reset budgets', async function () {
+            await time.increase(epochLength);
+
+            (await this.caps.remainingDappBudget(dapp)).should.be.bignumber.equal(totalCap);
+            (await this.caps.remainingMemberBudget(dapp, member)).should.be.bignumber.equal(memberCap);
+
+            await this.dao.use(member, memberCap, { from: dapp });
+          });
+        });
+
+        describe('if caps are lowered below usage', function () {
+          beforeEach(async function () {
+            await this.caps.setDappCap(dapp, epochLength, new BN(10), new BN(10), { from: operator });
+          });
+
+          it('should return zero budgets', async function () {
+            (await this.caps.remainingDappBudget(dapp)).should.be.bignumber.equal(new BN(0));
+            (await this.caps.remainingMemberBudget(dapp, member)).should.be.bignumber.equal(new BN(0));
+            (await this.caps.remainingMemberBudget(dapp, anotherAccount)).should.be.bignumber.equal(new BN(0));
+          });
+
+          it('reverts using tokens', async function () {
+            await expectRevert.unspecified(this.dao.use(anotherAccount, new BN(1), { from: dapp }));
+          });
+        });
+
+        describe('if caps change with the same epoch length', function () {
+          it('should keep usage', async function () {
+            await this.caps.setDappCap(dapp, epochLength, new BN(40), memberCap, { from: operator });
+
+            (await this.caps.remainingDappBudget(dapp)).should.be.bignumber.equal(new BN(25));
+            (await this.caps.remainingMemberBudget(dapp, member)).should.be.bignumber.equal(new BN(5));
+          });
+        });
+
+        describe('if epoch length changes', function () {
+          it('should reset usage', async function () {
+            await this.caps.setDappCap(dapp, epochLength.muln(2), totalCap, memberCap, { from: operator });
+
+            (await this.caps.remainingDappBudget(dapp)).should.be.bignumber.equal(totalCap);
+            (await this.caps.remainingMemberBudget(dapp, member)).should.be.bignumber.equal(memberCap);
+
+            await this.dao.use(member, memberCap, { from: dapp });
+          });
+        });
+      });
+    });
+  });
+});
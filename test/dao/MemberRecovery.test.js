@@ -0,0 +1,295 @@
+const { BN, constants, expectRevert, expectEvent, time } = require('openzeppelin-test-helpers');
+const { ZERO_ADDRESS } = constants;
+
+const { structDecode } = require('../utils/structDecode');
+
+const ERC1363 = artifacts.require('ERC1363Mock');
+const DAO = artifacts.require('DAOMock');
+const MemberRecovery = artifacts.require('MemberRecovery');
+
+contract('MemberRecovery', function (
+  [
+    creator,
+    operator,
+    member,
+    guardian,
+    otherGuardian,
+    thirdGuardian,
+    newAccount,
+    anotherAccount,
+    ...accounts
+  ]
+) {
+  const delay = time.duration.days(3);
+  const tokenAmount = new BN(10);
+
+  before(async function () {
+    // Advance to the next block to correctly read time in the solidity "now" function interpreted by ganache
+    await time.advanceBlock();
+  });
+
+  beforeEach(async function () {
+    this.token = await ERC1363.new(creator, 0);
+
+    await this.token.mintMock(member, tokenAmount);
+
+    this.dao = await DAO.new(this.token.address, { from: creator });
+
+    await this.dao.addOperator(operator, { from: creator });
+    await this.dao.setMigrationDelay(delay, { from: creator });
+
+    await this.token.transferAndCall(this.dao.address, tokenAmount, { from: member });
+    await this.dao.join({ from: guardian });
+    await this.dao.join({ from: otherGuardian });
+    await this.dao.join({ from: thirdGuardian });
+  });
+
+  context('testing constructor', function () {
+    describe('if dao is the zero address', function () {
+      it('reverts', async function () {
+        await expectRevert.unspecified(MemberRecovery.new(ZERO_ADDRESS));
+      });
+    });
+  });
+
+  context('if valid constructor', function () {
+    beforeEach(async function () {
+      this.recovery = await MemberRecovery.new(this.dao.address, { from: creator });
+
+      await this.dao.addMigrator(this.recovery.address, { from: creator });
+    });
+
+    it('should have DAO set', async function () {
+      (await this.recovery.dao()).should.be.equal(this.dao.address);
+    });
+
+    it('should have minimum recovery delay set', async function () {
+      (await this.recovery.minRecoveryDelay()).should.be.bignumber.equal(delay);
+    });
+
+    context('setting guardians', function () {
+      describe('from member', function () {
+        beforeEach(async function () {
+          ({ logs: this.logs } = await this.recovery.setGuardians([guardian, otherGuardian], 2, { from: member }));
+        });
+
+        it('should set guardians and threshold', async function () {
+          (await this.recovery.guardiansOf(member)).should.be.deep.equal([guardian, otherGuardian]);
+          (await this.recovery.thresholdOf(member)).should.be.bignumber.equal(new BN(2));
+          (await this.recovery.isGuardian(member, guardian)).should.be.equal(true);
+          (await this.recovery.isGuardian(member, anotherAccount)).should.be.equal(false);
+        });
+
+        it('should emit GuardiansChanged', async function () {
+          expectEvent.inLogs(this.logs, 'GuardiansChanged', {
+            account: member,
+            threshold: new BN(2),
+          });
+        });
+      });
+
+      describe('if threshold is zero or greater than guardians', function () {
+        it('reverts', async function () {
+          await expectRevert.unspecified(this.recovery.setGuardians([guardian], 0, { from: member }));
+          await expectRevert.unspecified(this.recovery.setGuardians([guardian], 2, { from: member }));
+        });
+      });
+
+      describe('if a guardian is not member', function () {
+        it('reverts', async function () {
+          await expectRevert.unspecified(this.recovery.setGuardians([guardian, anotherAccount], 1, { from: member }));
+        });
+      });
+
+      describe('if a guardian is duplicated or is the sender', function () {
+        it('reverts', async function () {
+          await expectRevert.unspecified(this.recovery.setGuardians([guardian, guardian], 1, { from: member }));
+          await expectRevert.unspecified(this.recovery.setGuardians([member], 1, { from: member }));
+        });
+      });
+
+      describe('from another account', function () {
+        it('reverts', async function () {
+          await expectRevert.unspecified(this.recovery.setGuardians([guardian], 1, { from: anotherAccount }));
+        });
+      });
+    });
+
+    context('recovering a member', function () {
+      let preMemberStructure;
+
+      beforeEach(async function () {
+        await this.recovery.setGuardians([guardian, otherGuardian], 2, { from: member });
+
+        preMemberStructure = structDecode(await this.dao.getMemberByAddress(member));
+      });
+
+      describe('if a guardian approves', function () {
+        beforeEach(async function () {
+          ({ logs: this.logs } = await this.recovery.approveRecovery(member, newAccount, { from: guardian }));
+        });
+
+        it('should store the approval', async function () {
+          (await this.recovery.approvalsOf(member, newAccount)).should.be.bignumber.equal(new BN(1));
+          (await this.recovery.approvalOf(member, guardian)).should.be.equal(newAccount);
+          (await this.recovery.approvalOf(member, otherGuardian)).should.be.equal(ZERO_ADDRESS);
+        });
+
+        it('should emit RecoveryApproved', async function () {
+          expectEvent.inLogs(this.logs, 'RecoveryApproved', {
+            account: member,
+            guardian: guardian,
+            newAccount: newAccount,
+          });
+        });
+
+        it('reverts approving again', async function () {
+          await expectRevert.unspecified(this.recovery.approveRecovery(member, newAccount, { from: guardian }));
+        });
+
+        it('should keep approvals if another guardian approves another address', async function () {
+          await this.recovery.approveRecovery(member, anotherAccount, { from: otherGuardian });
+
+          (await this.recovery.approvalsOf(member, newAccount)).should.be.bignumber.equal(new BN(1));
+          (await this.recovery.approvalsOf(member, anotherAccount)).should.be.bignumber.equal(new BN(1));
+          (await this.recovery.approvalOf(member, guardian)).should.be.equal(newAccount);
+        });
+
+        it('should move the approval if the guardian approves another address', async function () {
+          await this.recovery.approveRecovery(member, anotherAccount, { from: guardian });
+
+          (await this.recovery.approvalsOf(member, newAccount)).should.be.bignumber.equal(new BN(0));
+          (await this.recovery.approvalsOf(member, anotherAccount)).should.be.bignumber.equal(new BN(1));
+          (await this.recovery.approvalOf(member, guardian)).should.be.equal(anotherAccount);
+        });
+
+        describe('if member cancels', function () {
+          beforeEach(async function () {
+            ({ logs: this.logs } = await this.recovery.cancelRecovery({ from: member }));
+          });
+
+          it('should clear approvals', async function () {
+            (await this.recovery.approvalsOf(member, newAccount)).should.be.bignumber.equal(new BN(0));
+            (await this.recovery.approvalOf(member, guardian)).should.be.equal(ZERO_ADDRESS);
+          });
+
+          it('should emit RecoveryCancelled', async function () {
+            expectEvent.inLogs(this.logs, 'RecoveryCancelled', { account: member });
+          });
+        });
+
+        describe('if threshold is reached', function () {
+          let eta;
+
+          beforeEach(async function () {
+            ({ logs: this.logs } = await this.recovery.approveRecovery(member, newAccount, { from: otherGuardian }));
+
+            eta = (await time.latest()).add(delay);
+          });
+
+          it('should request the migration to the DAO', async function () {
+            const migration = await this.dao.pendingMigrationOf(member);
+
+            migration.newAccount.should.be.equal(newAccount);
+            migration.eta.should.be.bignumber.equal(eta);
+          });
+
+          it('should emit RecoveryRequested', async function () {
+            expectEvent.inLogs(this.logs, 'RecoveryRequested', {
+              account: member,
+              newAccount: newAccount,
+            });
+          });
+
+          it('should clear the recovery', async function () {
+            (await this.recovery.approvalsOf(member, newAccount)).should.be.bignumber.equal(new BN(0));
+            (await this.recovery.approvalOf(member, guardian)).should.be.equal(ZERO_ADDRESS);
+          });
+
+          it('should not have the operator role', async function () {
+            (await this.dao.isOperator(this.recovery.address)).should.be.equal(false);
+          });
+
+          describe('after the migration delay', function () {
+            beforeEach(async function () {
+              await time.increaseTo(eta);
+
+              await this.dao.executeMigration(member, { from: anotherAccount });
+            });
+
+            it('should move membership to the new address', async function () {
+              (await this.dao.isMember(member)).should.be.equal(false);
+
+              const memberStructure = structDecode(await this.dao.getMemberByAddress(newAccount));
+
+              memberStructure.id.should.be.bignumber.equal(preMemberStructure.id);
+              memberStructure.fingerprint.should.be.equal(preMemberStructure.fingerprint);
+              memberStructure.creationDate.should.be.bignumber.equal(preMemberStructure.creationDate);
+              memberStructure.stakedTokens.should.be.bignumber.equal(tokenAmount);
+            });
+
+            it('should keep guardians for the new address', async function () {
+              (await this.recovery.guardiansOf(newAccount)).should.be.deep.equal([guardian, otherGuardian]);
+            });
+          });
+
+          describe('if member cancels the migration into the DAO', function () {
+            it('reverts executing', async function () {
+              await this.dao.cancelMigration(member, { from: member });
+
+              await time.increaseTo(eta);
+
+              await expectRevert.unspecified(this.dao.executeMigration(member, { from: anotherAccount }));
+            });
+          });
+        });
+      });
+
+      describe('with three guardians', function () {
+        beforeEach(async function () {
+          await this.recovery.setGuardians([guardian, otherGuardian, thirdGuardian], 2, { from: member });
+
+          await this.recovery.approveRecovery(member, newAccount, { from: guardian });
+        });
+
+        it('should not be blocked by a guardian approving another address', async function () {
+          await this.recovery.approveRecovery(member, anotherAccount, { from: otherGuardian });
+          await this.recovery.approveRecovery(member, accounts[0], { from: otherGuardian });
+
+          const { logs } = await this.recovery.approveRecovery(member, newAccount, { from: thirdGuardian });
+
+          expectEvent.inLogs(logs, 'RecoveryRequested', {
+            account: member,
+            newAccount: newAccount,
+          });
+
+          (await this.dao.pendingMigrationOf(member)).newAccount.should.be.equal(newAccount);
+        });
+      });
+
+      describe('if DAO migration delay is lower than the minimum recovery delay', function () {
+        it('reverts reaching the threshold', async function () {
+          await this.dao.setMigrationDelay(delay.subn(1), { from: creator });
+
+          await this.recovery.approveRecovery(member, newAccount, { from: guardian });
+
+          await expectRevert.unspecified(this.recovery.approveRecovery(member, newAccount, { from: otherGuardian }));
+        });
+      });
+
+      describe('if not a guardian approves', function () {
+        it('reverts', async function () {
+          await this.dao.join({ from: anotherAccount });
+
+          await expectRevert.unspecified(this.recovery.approveRecovery(member, newAccount, { from: anotherAccount }));
+        });
+      });
+
+      describe('if new address is the zero address', function () {
+        it('reverts', async function () {
+          await expectRevert.unspecified(this.recovery.approveRecovery(member, ZERO_ADDRESS, { from: guardian }));
+        });
+      });
+    });
+  });
+});
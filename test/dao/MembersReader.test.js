@@ -0,0 +1,213 @@
+const { BN, constants, expectRevert, time } = require('openzeppelin-test-helpers');
+const { ZERO_ADDRESS } = constants;
+
+const ERC1363 = artifacts.require('ERC1363Mock');
+const DAO = artifacts.require('DAOMock');
+const MembersReader = artifacts.require('MembersReader');
+
+contract('MembersReader', function (
+  [
+    creator,
+    operator,
+    member,
+    otherMember,
+    thirdMember,
+    anotherAccount,
+    ...accounts
+  ]
+) {
+  const memberData = web3.utils.padRight(web3.utils.utf8ToHex('member'), 64);
+  const thirdMemberData = web3.utils.padRight(web3.utils.utf8ToHex('third member'), 64);
+  const emptyData = web3.utils.padRight('0x', 64);
+
+  before(async function () {
+    // Advance to the next block to correctly read time in the solidity "now" function interpreted by ganache
+    await time.advanceBlock();
+  });
+
+  beforeEach(async function () {
+    this.token = await ERC1363.new(creator, 0);
+
+    this.dao = await DAO.new(this.token.address, { from: creator });
+
+    await this.dao.addOperator(operator, { from: creator });
+  });
+
+  context('testing constructor', function () {
+    describe('if dao is the zero address', function () {
+      it('reverts', async function () {
+        await expectRevert.unspecified(MembersReader.new(ZERO_ADDRESS));
+      });
+    });
+  });
+
+  context('if valid constructor', function () {
+    beforeEach(async function () {
+      this.reader = await MembersReader.new(this.dao.address, { from: creator });
+
+      await this.dao.stake(member, new BN(10), { from: operator });
+      await this.dao.stake(otherMember, new BN(5), { from: operator });
+      await this.dao.stake(thirdMember, new BN(20), { from: operator });
+
+      await this.dao.setApproved(otherMember, true, { from: operator });
+      await this.dao.setApproved(thirdMember, true, { from: operator });
+
+      await this.dao.setData(member, memberData, { from: operator });
+      await this.dao.setData(thirdMember, thirdMemberData, { from: operator });
+    });
+
+    it('should have DAO set', async function () {
+      (await this.reader.dao()).should.be.equal(this.dao.address);
+    });
+
+    describe('getMembers', function () {
+      it('should return all members', async function () {
+        const list = await this.reader.getMembers(0, 10);
+
+        list.ids.map(id => id.toNumber()).should.be.deep.equal([1, 2, 3]);
+        list.accounts.should.be.deep.equal([member, otherMember, thirdMember]);
+        list.stakedTokens.map(value => value.toNumber()).should.be.deep.equal([10, 5, 20]);
+        list.approved.should.be.deep.equal([false, true, true]);
+      });
+
+      it('should return members fields', async function () {
+        const list = await this.reader.getMembers(0, 1);
+        const structure = await this.dao.getMemberById(1);
+
+        list.fingerprints[0].should.be.equal(structure.fingerprint);
+        list.creationDates[0].should.be.bignumber.equal(structure.creationDate);
+        list.usedTokens[0].should.be.bignumber.equal(structure.usedTokens);
+      });
+
+      it('should return a page', async function () {
+        const list = await this.reader.getMembers(1, 1);
+
+        list.accounts.should.be.deep.equal([otherMember]);
+      });
+
+      it('should return empty arrays after last member', async function () {
+        const list = await this.reader.getMembers(3, 10);
+
+        list.ids.length.should.be.equal(0);
+      });
+    });
+
+    describe('getFilteredMembers', function () {
+      it('should return approved members only', async function () {
+        const list = await this.reader.getFilteredMembers(0, 10, false, true, 0);
+
+        list.accounts.should.be.deep.equal([otherMember, thirdMember]);
+      });
+
+      it('should filter into the page', async function () {
+        const list = await this.reader.getFilteredMembers(0, 2, false, true, 0);
+
+        list.accounts.should.be.deep.equal([otherMember]);
+      });
+
+      it('should return members with enough staked tokens only', async function () {
+        const list = await this.reader.getFilteredMembers(0, 10, false, false, 10);
+
+        list.accounts.should.be.deep.equal([member, thirdMember]);
+        list.stakedTokens.map(value => value.toNumber()).should.be.deep.equal([10, 20]);
+      });
+
+      it('should combine filters', async function () {
+        const list = await this.reader.getFilteredMembers(0, 10, false, true, 10);
+
+        list.accounts.should.be.deep.equal([thirdMember]);
+      });
+
+      describe('if a member is removed', function () {
+        beforeEach(async function () {
+          await this.token.mintMock(this.dao.address, new BN(5));
+
+          await this.dao.removeMember(otherMember, 'spam', { from: operator });
+        });
+
+        it('should return removed members if not filtering active ones', async function () {
+          const list = await this.reader.getFilteredMembers(0, 10, false, false, 0);
+
+          list.accounts.should.be.deep.equal([member, otherMember, thirdMember]);
+        });
+
+        it('should return active members only', async function () {
+          const list = await this.reader.getFilteredMembers(0, 10, true, false, 0);
+
+          list.ids.map(id => id.toNumber()).should.be.deep.equal([1, 3]);
+          list.accounts.should.be.deep.equal([member, thirdMember]);
+        });
+
+        it('should return the new membership only if member joins again', async function () {
+          await this.dao.join({ from: otherMember });
+
+          const list = await this.reader.getFilteredMembers(0, 10, true, false, 0);
+
+          list.ids.map(id => id.toNumber()).should.be.deep.equal([1, 3, 4]);
+          list.accounts.should.be.deep.equal([member, thirdMember, otherMember]);
+        });
+      });
+    });
+
+    describe('getMembersByAddresses', function () {
+      it('should return members in the given order', async function () {
+        const list = await this.reader.getMembersByAddresses([thirdMember, member]);
+
+        list.ids.map(id => id.toNumber()).should.be.deep.equal([3, 1]);
+        list.accounts.should.be.deep.equal([thirdMember, member]);
+      });
+
+      it('should return empty fields for not members', async function () {
+        const list = await this.reader.getMembersByAddresses([anotherAccount, otherMember]);
+
+        list.ids.map(id => id.toNumber()).should.be.deep.equal([0, 2]);
+        list.accounts.should.be.deep.equal([ZERO_ADDRESS, otherMember]);
+      });
+    });
+
+    describe('getMembersData', function () {
+      it('should return data of all members', async function () {
+        const list = await this.reader.getMembersData(0, 10);
+
+        list.ids.map(id => id.toNumber()).should.be.deep.equal([1, 2, 3]);
+        list.data.should.be.deep.equal([memberData, emptyData, thirdMemberData]);
+      });
+
+      it('should return a page', async function () {
+        const list = await this.reader.getMembersData(2, 1);
+
+        list.ids.map(id => id.toNumber()).should.be.deep.equal([3]);
+        list.data.should.be.deep.equal([thirdMemberData]);
+      });
+    });
+
+    describe('getFilteredMembersData', function () {
+      it('should return data of the same members of getFilteredMembers', async function () {
+        const list = await this.reader.getFilteredMembersData(0, 10, false, false, 10);
+
+        list.ids.map(id => id.toNumber()).should.be.deep.equal([1, 3]);
+        list.data.should.be.deep.equal([memberData, thirdMemberData]);
+      });
+
+      it('should return data of active members only', async function () {
+        await this.token.mintMock(this.dao.address, new BN(10));
+
+        await this.dao.removeMember(member, 'spam', { from: operator });
+
+        const list = await this.reader.getFilteredMembersData(0, 10, true, false, 0);
+
+        list.ids.map(id => id.toNumber()).should.be.deep.equal([2, 3]);
+        list.data.should.be.deep.equal([emptyData, thirdMemberData]);
+      });
+    });
+
+    describe('getMembersDataByAddresses', function () {
+      it('should return data in the given order and empty for not members', async function () {
+        const list = await this.reader.getMembersDataByAddresses([thirdMember, anotherAccount, member]);
+
+        list.ids.map(id => id.toNumber()).should.be.deep.equal([3, 0, 1]);
+        list.data.should.be.deep.equal([thirdMemberData, emptyData, memberData]);
+      });
+    });
+  });
+});
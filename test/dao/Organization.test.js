@@ -12,6 +12,7 @@ contract('Organization', function (
     member,
     spender,
     anotherAccount,
+    dapp,
     ...accounts
   ]
 ) {
@@ -88,6 +89,15 @@ contract('Organization', function (
               assert.equal(memberStructure.fingerprint, fingerprint);
             });
 
+            it('has a valid fingerprint', async function () {
+              const fingerprint = await this.organization.getFingerprint(member, memberId);
+
+              (await this.organization.isValidFingerprint(fingerprint)).should.be.equal(true);
+              (await this.organization.isValidFingerprint(
+                await this.organization.getFingerprint(anotherAccount, memberId)
+              )).should.be.equal(false);
+            });
+
             it('has a creation date', async function () {
               memberStructure.creationDate.should.be.bignumber.equal(await time.latest());
 
@@ -214,6 +224,120 @@ contract('Organization', function (
         });
       });
 
+      context('removing a member', function () {
+        const tokenAmount = new BN(10);
+
+        describe('if member exists', function () {
+          beforeEach(async function () {
+            await this.organization.addMember(anotherAccount, { from: operator });
+
+            await this.organization.stake(member, tokenAmount, { from: operator });
+            await this.organization.stake(anotherAccount, tokenAmount, { from: operator });
+            await this.organization.setApproved(member, true);
+            await this.organization.delegate(anotherAccount, { from: member });
+            await this.organization.requestUnstake(1, 0, { from: member });
+            await this.organization.addRewards(19);
+
+            await this.organization.removeMember(member);
+          });
+
+          it('should not be member', async function () {
+            (await this.organization.isMember(member)).should.be.equal(false);
+            (await this.organization.isApproved(member)).should.be.equal(false);
+          });
+
+          it('should invalidate fingerprint', async function () {
+            const fingerprint = await this.organization.getFingerprint(member, memberId);
+
+            (await this.organization.isValidFingerprint(fingerprint)).should.be.equal(false);
+          });
+
+          it('should keep ids and decrease active members number', async function () {
+            (await this.organization.membersNumber()).should.be.bignumber.equal(memberId.addn(1));
+            (await this.organization.activeMembersNumber()).should.be.bignumber.equal(memberId);
+
+            const memberStructure = structDecode(await this.organization.getMember(memberId));
+            memberStructure.account.should.be.equal(member);
+          });
+
+          it('should clear member tokens', async function () {
+            const memberStructure = structDecode(await this.organization.getMember(memberId));
+            memberStructure.stakedTokens.should.be.bignumber.equal(new BN(0));
+
+            (await this.organization.totalStakedTokens()).should.be.bignumber.equal(tokenAmount);
+            (await this.organization.totalPendingTokens()).should.be.bignumber.equal(new BN(0));
+            (await this.organization.totalRewards()).should.be.bignumber.equal(new BN(10));
+          });
+
+          it('should clear delegation', async function () {
+            (await this.organization.delegatedTokensOf(anotherAccount)).should.be.bignumber.equal(new BN(0));
+            (await this.organization.votesOf(anotherAccount)).should.be.bignumber.equal(tokenAmount);
+          });
+
+          it('should add member again with a new id', async function () {
+            await this.organization.addMember(member, { from: operator });
+
+            (await this.organization.isMember(member)).should.be.equal(true);
+            (await this.organization.membersNumber()).should.be.bignumber.equal(memberId.addn(2));
+          });
+        });
+
+        describe('if member does not exist', function () {
+          it('reverts', async function () {
+            await expectRevert.unspecified(this.organization.removeMember(anotherAccount));
+          });
+        });
+      });
+
+      context('migrating a member', function () {
+        describe('if member exists', function () {
+          let preMemberStructure;
+
+          beforeEach(async function () {
+            await this.organization.stake(member, new BN(10), { from: operator });
+
+            preMemberStructure = structDecode(await this.organization.getMember(memberId));
+
+            await this.organization.migrateMember(member, anotherAccount);
+          });
+
+          it('should move member to the new address', async function () {
+            (await this.organization.isMember(member)).should.be.equal(false);
+            (await this.organization.isMember(anotherAccount)).should.be.equal(true);
+          });
+
+          it('should preserve member structure', async function () {
+            const memberStructure = structDecode(await this.organization.getMember(memberId));
+
+            memberStructure.account.should.be.equal(anotherAccount);
+            memberStructure.fingerprint.should.be.equal(preMemberStructure.fingerprint);
+            memberStructure.creationDate.should.be.bignumber.equal(preMemberStructure.creationDate);
+            memberStructure.stakedTokens.should.be.bignumber.equal(preMemberStructure.stakedTokens);
+            (await this.organization.stakedTokensOf(anotherAccount)).should.be.bignumber.equal(new BN(10));
+          });
+        });
+
+        describe('if new address is already a member', function () {
+          it('reverts', async function () {
+            await this.organization.addMember(anotherAccount, { from: operator });
+
+            await expectRevert.unspecified(this.organization.migrateMember(member, anotherAccount));
+          });
+        });
+
+        describe('if new address is the zero address', function () {
+          it('reverts', async function () {
+            await expectRevert.unspecified(this.organization.migrateMember(member, ZERO_ADDRESS));
+          });
+        });
+
+        describe('if member does not exist', function () {
+          it('reverts', async function () {
+            await expectRevert.unspecified(this.organization.migrateMember(anotherAccount, spender));
+          });
+        });
+      });
+
       context('testing stake/unstake/use', function () {
         const tokenAmount = new BN(10);
 
@@ -308,6 +432,568 @@ contract('Organization', function (
           });
         });
 
+        describe('request unstake and withdraw tokens', function () {
+          describe('if user is member', function () {
+            let releaseDate;
+
+            beforeEach(async function () {
+              await this.organization.stake(member, tokenAmount, { from: operator });
+
+              releaseDate = (await time.latest()).add(time.duration.days(1));
+            });
+
+            describe('if member has enough staked token', function () {
+              beforeEach(async function () {
+                await this.organization.requestUnstake(tokenAmount, releaseDate, { from: member });
+              });
+
+              it('should decrease member and total staked tokens', async function () {
+                (await this.organization.stakedTokensOf(member)).should.be.bignumber.equal(new BN(0));
+                (await this.organization.totalStakedTokens()).should.be.bignumber.equal(new BN(0));
+              });
+
+              it('should increase member and total pending tokens', async function () {
+                (await this.organization.pendingTokensOf(member)).should.be.bignumber.equal(tokenAmount);
+                (await this.organization.totalPendingTokens()).should.be.bignumber.equal(tokenAmount);
+              });
+
+              it('should set release date', async function () {
+                (await this.organization.releaseDateOf(member)).should.be.bignumber.equal(releaseDate);
+              });
+
+              describe('withdraw before release date', function () {
+                it('reverts', async function () {
+                  await expectRevert.unspecified(this.organization.withdraw({ from: member }));
+                });
+              });
+
+              describe('withdraw after release date', function () {
+                beforeEach(async function () {
+                  await time.increaseTo(releaseDate);
+
+                  await this.organization.withdraw({ from: member });
+                });
+
+                it('should clear member and total pending tokens', async function () {
+                  (await this.organization.pendingTokensOf(member)).should.be.bignumber.equal(new BN(0));
+                  (await this.organization.releaseDateOf(member)).should.be.bignumber.equal(new BN(0));
+                  (await this.organization.totalPendingTokens()).should.be.bignumber.equal(new BN(0));
+                });
+
+                it('reverts withdrawing again', async function () {
+                  await expectRevert.unspecified(this.organization.withdraw({ from: member }));
+                });
+              });
+            });
+
+            describe('if member has not enough staked token', function () {
+              it('reverts', async function () {
+                await expectRevert.unspecified(
+                  this.organization.requestUnstake(tokenAmount.addn(1), releaseDate, { from: member })
+                );
+              });
+            });
+          });
+
+          describe('if user is not member', function () {
+            it('reverts', async function () {
+              await expectRevert.unspecified(
+                this.organization.requestUnstake(tokenAmount, 0, { from: anotherAccount })
+              );
+              await expectRevert.unspecified(this.organization.withdraw({ from: anotherAccount }));
+            });
+          });
+        });
+
+        describe('refund tokens', function () {
+          describe('if user is member', function () {
+            beforeEach(async function () {
+              await this.organization.stake(member, tokenAmount, { from: operator });
+              await this.organization.use(dapp, tokenAmount, { from: member });
+            });
+
+            describe('if member has enough used tokens', function () {
+              beforeEach(async function () {
+                await this.organization.refund(member, dapp, tokenAmount.subn(1));
+              });
+
+              it('should decrease member and total used tokens', async function () {
+                (await this.organization.usedTokensOf(member)).should.be.bignumber.equal(new BN(1));
+                (await this.organization.totalUsedTokens()).should.be.bignumber.equal(new BN(1));
+              });
+
+              it('should decrease member and total used tokens by dapp', async function () {
+                (await this.organization.usedTokensOf(member, dapp)).should.be.bignumber.equal(new BN(1));
+                (await this.organization.totalUsedBy(dapp)).should.be.bignumber.equal(new BN(1));
+              });
+
+              it('should increase member and total staked tokens', async function () {
+                (await this.organization.stakedTokensOf(member)).should.be.bignumber.equal(tokenAmount.subn(1));
+                (await this.organization.totalStakedTokens()).should.be.bignumber.equal(tokenAmount.subn(1));
+              });
+            });
+
+            describe('if member has not enough used tokens', function () {
+              it('reverts', async function () {
+                await expectRevert.unspecified(this.organization.refund(member, dapp, tokenAmount.addn(1)));
+              });
+            });
+
+            describe('if refunding from another dapp', function () {
+              it('reverts', async function () {
+                await expectRevert.unspecified(this.organization.refund(member, spender, 1));
+              });
+            });
+          });
+
+          describe('if user is not member', function () {
+            it('reverts', async function () {
+              await expectRevert.unspecified(this.organization.refund(anotherAccount, dapp, 0));
+            });
+          });
+        });
+
+        describe('lock tokens', function () {
+          const maxLockDuration = time.duration.years(4);
+
+          describe('if user is member', function () {
+            let lockedUntil;
+
+            beforeEach(async function () {
+              await this.organization.stake(member, tokenAmount, { from: operator });
+
+              lockedUntil = (await time.latest()).add(maxLockDuration.divn(2));
+            });
+
+            it('should start with weight equal to staked tokens', async function () {
+              (await this.organization.weightOf(member)).should.be.bignumber.equal(tokenAmount);
+              (await this.organization.lockedTokensOf(member)).should.be.bignumber.equal(new BN(0));
+            });
+
+            describe('if member has enough staked token', function () {
+              beforeEach(async function () {
+                await this.organization.lock(tokenAmount, lockedUntil, { from: member });
+              });
+
+              it('should set locked tokens and expiration', async function () {
+                (await this.organization.lockedTokensOf(member)).should.be.bignumber.equal(tokenAmount);
+                (await this.organization.lockedUntil(member)).should.be.bignumber.equal(lockedUntil);
+              });
+
+              it('should boost weight proportionally to duration', async function () {
+                const duration = lockedUntil.sub(await time.latest());
+
+                (await this.organization.weightOf(member)).should.be.bignumber.equal(
+                  tokenAmount.add(tokenAmount.mul(duration).div(maxLockDuration))
+                );
+              });
+
+              it('reverts unstaking, requesting unstake or using locked tokens', async function () {
+                await expectRevert.unspecified(this.organization.unstake(1, { from: member }));
+                await expectRevert.unspecified(this.organization.requestUnstake(1, 0, { from: member }));
+                await expectRevert.unspecified(this.organization.use(dapp, 1, { from: member }));
+              });
+
+              it('reverts shortening the lock', async function () {
+                await expectRevert.unspecified(this.organization.lock(0, lockedUntil.subn(1), { from: member }));
+              });
+
+              it('should extend the lock', async function () {
+                await this.organization.lock(0, lockedUntil.addn(1), { from: member });
+
+                (await this.organization.lockedUntil(member)).should.be.bignumber.equal(lockedUntil.addn(1));
+              });
+
+              describe('after lock expiration', function () {
+                beforeEach(async function () {
+                  await time.increaseTo(lockedUntil);
+                });
+
+                it('should remove locked tokens and boost', async function () {
+                  (await this.organization.lockedTokensOf(member)).should.be.bignumber.equal(new BN(0));
+                  (await this.organization.weightOf(member)).should.be.bignumber.equal(tokenAmount);
+                });
+
+                it('should allow to use tokens', async function () {
+                  await this.organization.use(dapp, tokenAmount, { from: member });
+
+                  (await this.organization.stakedTokensOf(member)).should.be.bignumber.equal(new BN(0));
+                });
+              });
+            });
+
+            describe('if member has not enough staked token', function () {
+              it('reverts', async function () {
+                await expectRevert.unspecified(
+                  this.organization.lock(tokenAmount.addn(1), lockedUntil, { from: member })
+                );
+              });
+            });
+
+            describe('if duration exceeds max lock duration', function () {
+              it('reverts', async function () {
+                await expectRevert.unspecified(
+                  this.organization.lock(tokenAmount, lockedUntil.add(maxLockDuration), { from: member })
+                );
+              });
+            });
+          });
+
+          describe('if user is not member', function () {
+            it('reverts', async function () {
+              const lockedUntil = (await time.latest()).add(time.duration.days(1));
+
+              await expectRevert.unspecified(
+                this.organization.lock(tokenAmount, lockedUntil, { from: anotherAccount })
+              );
+            });
+          });
+        });
+
+        describe('staking rewards', function () {
+          const rewardAmount = new BN(300);
+
+          beforeEach(async function () {
+            await this.organization.addMember(anotherAccount, { from: operator });
+
+            await this.organization.stake(member, tokenAmount, { from: operator });
+            await this.organization.stake(anotherAccount, tokenAmount.muln(2), { from: operator });
+          });
+
+          it('should start with zero rewards', async function () {
+            (await this.organization.earned(member)).should.be.bignumber.equal(new BN(0));
+            (await this.organization.totalRewards()).should.be.bignumber.equal(new BN(0));
+          });
+
+          describe('adding rewards', function () {
+            beforeEach(async function () {
+              await this.organization.addRewards(rewardAmount);
+            });
+
+            it('should increase total rewards', async function () {
+              (await this.organization.totalRewards()).should.be.bignumber.equal(rewardAmount);
+            });
+
+            it('should distribute rewards pro-rata to staked tokens', async function () {
+              (await this.organization.earned(member)).should.be.bignumber.equal(rewardAmount.divn(3));
+              (await this.organization.earned(anotherAccount)).should.be.bignumber.equal(rewardAmount.divn(3).muln(2));
+            });
+
+            describe('if staked tokens change', function () {
+              beforeEach(async function () {
+                await this.organization.stake(member, tokenAmount.muln(3), { from: operator });
+                await this.organization.use(dapp, tokenAmount, { from: anotherAccount });
+
+                await this.organization.addRewards(rewardAmount);
+              });
+
+              it('should keep previous rewards and distribute new ones on current staked tokens', async function () {
+                (await this.organization.earned(member)).should.be.bignumber.equal(
+                  rewardAmount.divn(3).add(rewardAmount.divn(5).muln(4))
+                );
+                (await this.organization.earned(anotherAccount)).should.be.bignumber.equal(
+                  rewardAmount.divn(3).muln(2).add(rewardAmount.divn(5))
+                );
+              });
+            });
+
+            describe('claiming rewards', function () {
+              beforeEach(async function () {
+                await this.organization.claimRewards({ from: member });
+              });
+
+              it('should clear member rewards and decrease total rewards', async function () {
+                (await this.organization.earned(member)).should.be.bignumber.equal(new BN(0));
+                (await this.organization.totalRewards()).should.be.bignumber.equal(rewardAmount.divn(3).muln(2));
+              });
+
+              it('reverts claiming again', async function () {
+                await expectRevert.unspecified(this.organization.claimRewards({ from: member }));
+              });
+            });
+          });
+
+          describe('if user is not member', function () {
+            it('reverts claiming', async function () {
+              await expectRevert.unspecified(this.organization.claimRewards({ from: spender }));
+            });
+          });
+        });
+
+        describe('dapp allowances', function () {
+          const dapp = spender;
+
+          it('should start with zero allowance', async function () {
+            (await this.organization.allowance(member, dapp)).should.be.bignumber.equal(new BN(0));
+          });
+
+          describe('setting allowance without expiry', function () {
+            beforeEach(async function () {
+              await this.organization.setAllowance(dapp, tokenAmount, 0, { from: member });
+            });
+
+            it('should set allowance', async function () {
+              (await this.organization.allowance(member, dapp)).should.be.bignumber.equal(tokenAmount);
+            });
+
+            it('should decrease allowance when spent', async function () {
+              await this.organization.spendAllowance(member, 1, { from: dapp });
+
+              (await this.organization.allowance(member, dapp)).should.be.bignumber.equal(tokenAmount.subn(1));
+            });
+
+            it('reverts spending more than allowance', async function () {
+              await expectRevert.unspecified(
+                this.organization.spendAllowance(member, tokenAmount.addn(1), { from: dapp })
+              );
+            });
+
+            it('reverts spending from another dapp', async function () {
+              await expectRevert.unspecified(this.organization.spendAllowance(member, 1, { from: anotherAccount }));
+            });
+          });
+
+          describe('setting allowance with expiry', function () {
+            let expiry;
+
+            beforeEach(async function () {
+              expiry = (await time.latest()).add(time.duration.days(1));
+
+              await this.organization.setAllowance(dapp, tokenAmount, expiry, { from: member });
+            });
+
+            it('should set allowance until expiry', async function () {
+              (await this.organization.allowance(member, dapp)).should.be.bignumber.equal(tokenAmount);
+            });
+
+            describe('after expiry', function () {
+              beforeEach(async function () {
+                await time.increaseTo(expiry);
+              });
+
+              it('should have zero allowance', async function () {
+                (await this.organization.allowance(member, dapp)).should.be.bignumber.equal(new BN(0));
+              });
+
+              it('reverts spending', async function () {
+                await expectRevert.unspecified(this.organization.spendAllowance(member, 1, { from: dapp }));
+              });
+            });
+          });
+
+          describe('if dapp is the zero address', function () {
+            it('reverts', async function () {
+              await expectRevert.unspecified(
+                this.organization.setAllowance(ZERO_ADDRESS, tokenAmount, 0, { from: member })
+              );
+            });
+          });
+        });
+
+        describe('staked tokens history', function () {
+          const blocks = [];
+
+          beforeEach(async function () {
+            await this.organization.addMember(anotherAccount, { from: operator });
+            await this.organization.stake(anotherAccount, tokenAmount, { from: operator });
+
+            await this.organization.stake(member, tokenAmount, { from: operator });
+            blocks[0] = await time.latestBlock();
+
+            await this.organization.stake(member, tokenAmount, { from: operator });
+            blocks[1] = await time.latestBlock();
+
+            await this.organization.use(dapp, tokenAmount, { from: member });
+            blocks[2] = await time.latestBlock();
+
+            await this.organization.unstake(tokenAmount, { from: member });
+            blocks[3] = await time.latestBlock();
+
+            await time.advanceBlock();
+          });
+
+          describe('check stakedTokensAt', function () {
+            it('should be zero before first stake', async function () {
+              (await this.organization.stakedTokensAt(member, blocks[0].subn(1))).should.be.bignumber.equal(new BN(0));
+            });
+
+            it('should return staked tokens at each block', async function () {
+              (await this.organization.stakedTokensAt(member, blocks[0])).should.be.bignumber.equal(tokenAmount);
+              (await this.organization.stakedTokensAt(member, blocks[1])).should.be.bignumber.equal(
+                tokenAmount.muln(2)
+              );
+              (await this.organization.stakedTokensAt(member, blocks[2])).should.be.bignumber.equal(tokenAmount);
+              (await this.organization.stakedTokensAt(member, blocks[3])).should.be.bignumber.equal(new BN(0));
+            });
+
+            it('should return zero if user is not member', async function () {
+              (await this.organization.stakedTokensAt(spender, blocks[3])).should.be.bignumber.equal(new BN(0));
+            });
+
+            it('reverts if block is not yet mined', async function () {
+              await expectRevert.unspecified(
+                this.organization.stakedTokensAt(member, (await time.latestBlock()).addn(1))
+              );
+            });
+          });
+
+          describe('check totalStakedTokensAt', function () {
+            it('should return total staked tokens at each block', async function () {
+              (await this.organization.totalStakedTokensAt(blocks[0].subn(2))).should.be.bignumber.equal(new BN(0));
+              (await this.organization.totalStakedTokensAt(blocks[0])).should.be.bignumber.equal(tokenAmount.muln(2));
+              (await this.organization.totalStakedTokensAt(blocks[1])).should.be.bignumber.equal(tokenAmount.muln(3));
+              (await this.organization.totalStakedTokensAt(blocks[2])).should.be.bignumber.equal(tokenAmount.muln(2));
+              (await this.organization.totalStakedTokensAt(blocks[3])).should.be.bignumber.equal(tokenAmount);
+            });
+
+            it('reverts if block is not yet mined', async function () {
+              await expectRevert.unspecified(
+                this.organization.totalStakedTokensAt((await time.latestBlock()).addn(1))
+              );
+            });
+          });
+        });
+
+        describe('delegation', function () {
+          beforeEach(async function () {
+            await this.organization.addMember(anotherAccount, { from: operator });
+
+            await this.organization.stake(member, tokenAmount, { from: operator });
+            await this.organization.stake(anotherAccount, tokenAmount.muln(2), { from: operator });
+          });
+
+          it('should start not delegated', async function () {
+            (await this.organization.delegateOf(member)).should.be.equal(ZERO_ADDRESS);
+            (await this.organization.delegatedTokensOf(member)).should.be.bignumber.equal(new BN(0));
+            (await this.organization.votesOf(member)).should.be.bignumber.equal(tokenAmount);
+          });
+
+          describe('delegate to a member', function () {
+            let delegateBlock;
+
+            beforeEach(async function () {
+              await this.organization.delegate(anotherAccount, { from: member });
+              delegateBlock = await time.latestBlock();
+            });
+
+            it('should set the delegatee', async function () {
+              (await this.organization.delegateOf(member)).should.be.equal(anotherAccount);
+            });
+
+            it('should move voting power to delegatee', async function () {
+              (await this.organization.votesOf(member)).should.be.bignumber.equal(new BN(0));
+              (await this.organization.delegatedTokensOf(anotherAccount)).should.be.bignumber.equal(tokenAmount);
+              (await this.organization.votesOf(anotherAccount)).should.be.bignumber.equal(tokenAmount.muln(3));
+            });
+
+            it('should not change staked tokens', async function () {
+              (await this.organization.stakedTokensOf(member)).should.be.bignumber.equal(tokenAmount);
+              (await this.organization.stakedTokensOf(anotherAccount)).should.be.bignumber.equal(tokenAmount.muln(2));
+            });
+
+            it('should track delegatee voting power on stake changes', async function () {
+              await this.organization.stake(member, tokenAmount, { from: operator });
+              (await this.organization.votesOf(anotherAccount)).should.be.bignumber.equal(tokenAmount.muln(4));
+
+              await this.organization.unstake(tokenAmount, { from: member });
+              (await this.organization.votesOf(anotherAccount)).should.be.bignumber.equal(tokenAmount.muln(3));
+
+              await this.organization.use(dapp, tokenAmount, { from: member });
+              (await this.organization.votesOf(anotherAccount)).should.be.bignumber.equal(tokenAmount.muln(2));
+              (await this.organization.delegatedTokensOf(anotherAccount)).should.be.bignumber.equal(new BN(0));
+            });
+
+            it('should store voting power history', async function () {
+              await time.advanceBlock();
+
+              (await this.organization.votesAt(member, delegateBlock.subn(1))).should.be.bignumber.equal(tokenAmount);
+              (await this.organization.votesAt(member, delegateBlock)).should.be.bignumber.equal(new BN(0));
+              (await this.organization.votesAt(anotherAccount, delegateBlock.subn(1))).should.be.bignumber.equal(
+                tokenAmount.muln(2)
+              );
+              (await this.organization.votesAt(anotherAccount, delegateBlock)).should.be.bignumber.equal(
+                tokenAmount.muln(3)
+              );
+            });
+
+            it('reverts delegating to the same member again', async function () {
+              await expectRevert.unspecified(this.organization.delegate(anotherAccount, { from: member }));
+            });
+
+            describe('re-delegate to another member', function () {
+              beforeEach(async function () {
+                await this.organization.addMember(spender, { from: operator });
+                await this.organization.delegate(spender, { from: member });
+              });
+
+              it('should move voting power to the new delegatee', async function () {
+                (await this.organization.delegateOf(member)).should.be.equal(spender);
+                (await this.organization.votesOf(anotherAccount)).should.be.bignumber.equal(tokenAmount.muln(2));
+                (await this.organization.votesOf(spender)).should.be.bignumber.equal(tokenAmount);
+              });
+            });
+
+            describe('undelegate', function () {
+              beforeEach(async function () {
+                await this.organization.undelegate({ from: member });
+              });
+
+              it('should restore voting power', async function () {
+                (await this.organization.delegateOf(member)).should.be.equal(ZERO_ADDRESS);
+                (await this.organization.votesOf(member)).should.be.bignumber.equal(tokenAmount);
+                (await this.organization.votesOf(anotherAccount)).should.be.bignumber.equal(tokenAmount.muln(2));
+              });
+
+              it('reverts undelegating again', async function () {
+                await expectRevert.unspecified(this.organization.undelegate({ from: member }));
+              });
+            });
+
+            describe('if delegatee is removed', function () {
+              beforeEach(async function () {
+                await this.organization.removeMember(anotherAccount);
+              });
+
+              it('should keep the delegation until cleared', async function () {
+                (await this.organization.delegateOf(member)).should.be.equal(anotherAccount);
+                (await this.organization.votesOf(member)).should.be.bignumber.equal(new BN(0));
+              });
+
+              it('should restore voting power clearing the delegation', async function () {
+                await this.organization.clearDelegation(member, { from: spender });
+
+                (await this.organization.delegateOf(member)).should.be.equal(ZERO_ADDRESS);
+                (await this.organization.votesOf(member)).should.be.bignumber.equal(tokenAmount);
+              });
+            });
+
+            describe('clearing delegation to an active member', function () {
+              it('reverts', async function () {
+                await expectRevert.unspecified(this.organization.clearDelegation(member, { from: spender }));
+              });
+            });
+          });
+
+          describe('delegate to itself', function () {
+            it('reverts', async function () {
+              await expectRevert.unspecified(this.organization.delegate(member, { from: member }));
+            });
+          });
+
+          describe('delegate to not member', function () {
+            it('reverts', async function () {
+              await expectRevert.unspecified(this.organization.delegate(spender, { from: member }));
+            });
+          });
+
+          describe('if user is not member', function () {
+            it('reverts', async function () {
+              await expectRevert.unspecified(this.organization.delegate(member, { from: spender }));
+              await expectRevert.unspecified(this.organization.undelegate({ from: spender }));
+            });
+          });
+        });
+
         describe('use tokens', function () {
           describe('if user is member', function () {
             beforeEach(async function () {
@@ -324,7 +1010,7 @@ contract('Organization', function (
                 preStakedTokens = await this.organization.totalStakedTokens();
                 preUsedTokens = await this.organization.totalUsedTokens();
 
-                await this.organization.use(tokenAmount, { from: member });
+                await this.organization.use(dapp, tokenAmount, { from: member });
               });
 
               it('should decrease member staked tokens', async function () {
@@ -357,12 +1043,19 @@ contract('Organization', function (
                   preUsedTokens.add(tokenAmount)
                 );
               });
+
+              it('should increase member and total used tokens by dapp', async function () {
+                (await this.organization.usedTokensOf(member, dapp)).should.be.bignumber.equal(tokenAmount);
+                (await this.organization.usedTokensOf(member, spender)).should.be.bignumber.equal(new BN(0));
+                (await this.organization.totalUsedBy(dapp)).should.be.bignumber.equal(tokenAmount);
+              });
             });
 
             describe('if member has not enough staked token', function () {
               it('reverts', async function () {
                 await expectRevert.unspecified(
                   this.organization.use(
+                    dapp,
                     tokenAmount.addn(1),
                     { from: member }
                   )
@@ -374,7 +1067,7 @@ contract('Organization', function (
           describe('if user is not member', function () {
             it('reverts', async function () {
               await expectRevert.unspecified(
-                this.organization.use(tokenAmount, { from: anotherAccount })
+                this.organization.use(dapp, tokenAmount, { from: anotherAccount })
               );
             });
           });
@@ -55,6 +55,8 @@ contract('DAPP', function (
   context('if valid constructor with fee greater than zero', function () {
     beforeEach(async function () {
       this.dapp = await DAPP.new(this.dao.address, fee);
+
+      await this.dao.approveDapp(this.dapp.address, tokenBalance, 0, { from: member });
     });
 
     it('should have DAO set', async function () {
@@ -615,6 +617,788 @@ contract('DAPP', function (
       });
     });
 
+    context('testing fee changes', function () {
+      const newFee = new BN(8);
+
+      it('should start without pending fee change', async function () {
+        (await this.dapp.feeChangeDelay()).should.be.bignumber.equal(time.duration.days(7));
+        (await this.dapp.pendingFeeChange()).eta.should.be.bignumber.equal(new BN(0));
+      });
+
+      describe('requesting a fee change', function () {
+        describe('from owner', function () {
+          let eta;
+
+          beforeEach(async function () {
+            ({ logs: this.logs } = await this.dapp.requestFeeChange(newFee, { from: creator }));
+
+            eta = (await time.latest()).add(await this.dapp.feeChangeDelay());
+          });
+
+          it('should store the pending fee change', async function () {
+            const pendingFeeChange = await this.dapp.pendingFeeChange();
+
+            pendingFeeChange.newFee.should.be.bignumber.equal(newFee);
+            pendingFeeChange.eta.should.be.bignumber.equal(eta);
+          });
+
+          it('should not change fee', async function () {
+            (await this.dapp.fee()).should.be.bignumber.equal(fee);
+          });
+
+          it('should emit FeeChangeRequested', async function () {
+            expectEvent.inLogs(this.logs, 'FeeChangeRequested', {
+              newFee: newFee,
+              eta: eta,
+            });
+          });
+
+          describe('applying before the notice period', function () {
+            it('reverts', async function () {
+              await expectRevert.unspecified(this.dapp.applyFeeChange({ from: anotherAccount }));
+            });
+          });
+
+          describe('applying after the notice period', function () {
+            beforeEach(async function () {
+              await time.increaseTo(eta);
+
+              ({ logs: this.logs } = await this.dapp.applyFeeChange({ from: anotherAccount }));
+            });
+
+            it('should change fee', async function () {
+              (await this.dapp.fee()).should.be.bignumber.equal(newFee);
+              (await this.dapp.pendingFeeChange()).eta.should.be.bignumber.equal(new BN(0));
+            });
+
+            it('should emit FeeChanged', async function () {
+              expectEvent.inLogs(this.logs, 'FeeChanged', {
+                previousFee: fee,
+                newFee: newFee,
+              });
+            });
+
+            it('reverts applying again', async function () {
+              await expectRevert.unspecified(this.dapp.applyFeeChange({ from: anotherAccount }));
+            });
+          });
+
+          describe('cancelling', function () {
+            describe('from owner', function () {
+              beforeEach(async function () {
+                ({ logs: this.logs } = await this.dapp.cancelFeeChange({ from: creator }));
+              });
+
+              it('should emit FeeChangeCancelled', async function () {
+                expectEvent.inLogs(this.logs, 'FeeChangeCancelled', { newFee: newFee });
+              });
+
+              it('reverts applying after the notice period', async function () {
+                await time.increaseTo(eta);
+
+                await expectRevert.unspecified(this.dapp.applyFeeChange({ from: anotherAccount }));
+              });
+            });
+
+            describe('from another account', function () {
+              it('reverts', async function () {
+                await expectRevert.unspecified(this.dapp.cancelFeeChange({ from: anotherAccount }));
+              });
+            });
+          });
+        });
+
+        describe('from another account', function () {
+          it('reverts', async function () {
+            await expectRevert.unspecified(this.dapp.requestFeeChange(newFee, { from: anotherAccount }));
+          });
+        });
+      });
+
+      describe('cancelling without a request', function () {
+        it('reverts', async function () {
+          await expectRevert.unspecified(this.dapp.cancelFeeChange({ from: creator }));
+        });
+      });
+    });
+
+    context('testing fees collection', function () {
+      beforeEach(async function () {
+        await this.token.transferAndCall(this.dao.address, fee.muln(2), { from: member });
+        await this.dao.addDapp(this.dapp.address, { from: operator });
+      });
+
+      it('should have owner set', async function () {
+        (await this.dapp.owner()).should.be.equal(creator);
+      });
+
+      it('should start with zero collected tokens and no wallet', async function () {
+        (await this.dapp.collectedTokens()).should.be.bignumber.equal(new BN(0));
+        (await this.dapp.wallet()).should.be.equal(ZERO_ADDRESS);
+      });
+
+      describe('if wallet is not set', function () {
+        let receipt;
+
+        beforeEach(async function () {
+          receipt = await this.dapp.useFeeAction({ from: member });
+        });
+
+        it('should keep tokens into dapp', async function () {
+          (await this.token.balanceOf(this.dapp.address)).should.be.bignumber.equal(fee);
+          (await this.dapp.collectedTokens()).should.be.bignumber.equal(fee);
+        });
+
+        it('should emit FeesCollected', async function () {
+          await expectEvent.inTransaction(receipt.tx, DAPP, 'FeesCollected', {
+            account: member,
+            value: fee,
+          });
+        });
+
+        describe('withdrawing tokens', function () {
+          describe('from owner', function () {
+            it('should transfer tokens and emit TokensWithdrawn', async function () {
+              const { logs } = await this.dapp.withdrawTokens(anotherAccount, fee, { from: creator });
+
+              (await this.token.balanceOf(anotherAccount)).should.be.bignumber.equal(fee);
+              (await this.token.balanceOf(this.dapp.address)).should.be.bignumber.equal(new BN(0));
+
+              expectEvent.inLogs(logs, 'TokensWithdrawn', { to: anotherAccount, value: fee });
+            });
+
+            it('reverts if withdrawing to the zero address', async function () {
+              await expectRevert.unspecified(this.dapp.withdrawTokens(ZERO_ADDRESS, fee, { from: creator }));
+            });
+
+            it('reverts if withdrawing more than balance', async function () {
+              await expectRevert.unspecified(this.dapp.withdrawTokens(anotherAccount, fee.addn(1), { from: creator }));
+            });
+          });
+
+          describe('from another account', function () {
+            it('reverts', async function () {
+              await expectRevert.unspecified(this.dapp.withdrawTokens(anotherAccount, fee, { from: anotherAccount }));
+            });
+          });
+        });
+      });
+
+      describe('if wallet is set', function () {
+        beforeEach(async function () {
+          ({ logs: this.logs } = await this.dapp.setWallet(anotherAccount, { from: creator }));
+
+          await this.dapp.useFeeAction({ from: member });
+          await this.dapp.useTokensAction(fee, { from: member });
+        });
+
+        it('should emit WalletChanged', async function () {
+          expectEvent.inLogs(this.logs, 'WalletChanged', { wallet: anotherAccount });
+        });
+
+        it('should forward tokens to wallet', async function () {
+          (await this.token.balanceOf(anotherAccount)).should.be.bignumber.equal(fee.muln(2));
+          (await this.token.balanceOf(this.dapp.address)).should.be.bignumber.equal(new BN(0));
+          (await this.dapp.collectedTokens()).should.be.bignumber.equal(fee.muln(2));
+        });
+      });
+
+      describe('if DAO revenue share is set', function () {
+        it('should collect tokens without share', async function () {
+          await this.dao.setRevenueShare(20, { from: creator });
+          await this.dao.setTreasury(operator, { from: creator });
+
+          await this.dapp.useFeeAction({ from: member });
+
+          (await this.dapp.collectedTokens()).should.be.bignumber.equal(new BN(4));
+        });
+      });
+
+      describe('setting wallet from another account', function () {
+        it('reverts', async function () {
+          await expectRevert.unspecified(this.dapp.setWallet(anotherAccount, { from: anotherAccount }));
+        });
+      });
+    });
+
+    context('testing onlyMemberSince actions', function () {
+      const duration = time.duration.days(30);
+
+      describe('from member since duration', function () {
+        it('allows access', async function () {
+          await time.increaseTo(this.memberCreationDate.add(duration));
+
+          (await this.dapp.isMemberSince(member, duration)).should.be.equal(true);
+          await this.dapp.onlyMemberSinceAction(duration, { from: member });
+        });
+      });
+
+      describe('from too recent member', function () {
+        it('reverts', async function () {
+          (await this.dapp.isMemberSince(member, duration)).should.be.equal(false);
+          await expectRevert(
+            this.dapp.onlyMemberSinceAction(duration, { from: member }),
+            'DAPP: membership is too recent'
+          );
+        });
+      });
+
+      describe('from another account', function () {
+        it('reverts', async function () {
+          (await this.dapp.isMemberSince(anotherAccount, 0)).should.be.equal(false);
+          await expectRevert(
+            this.dapp.onlyMemberSinceAction(0, { from: anotherAccount }),
+            'DAPP: caller is not member'
+          );
+        });
+      });
+    });
+
+    context('testing onlyStakers actions', function () {
+      const minAmount = new BN(10);
+
+      beforeEach(async function () {
+        await this.token.transferAndCall(this.dao.address, minAmount, { from: member });
+      });
+
+      describe('from member with enough stake', function () {
+        it('allows access', async function () {
+          (await this.dapp.hasStake(member, minAmount)).should.be.equal(true);
+          await this.dapp.onlyStakersAction(minAmount, { from: member });
+        });
+      });
+
+      describe('from member without enough stake', function () {
+        it('reverts', async function () {
+          (await this.dapp.hasStake(member, minAmount.addn(1))).should.be.equal(false);
+          await expectRevert(
+            this.dapp.onlyStakersAction(minAmount.addn(1), { from: member }),
+            'DAPP: staked tokens are not enough'
+          );
+        });
+      });
+
+      describe('from another account', function () {
+        it('reverts', async function () {
+          (await this.dapp.hasStake(anotherAccount, 0)).should.be.equal(false);
+          await expectRevert(this.dapp.onlyStakersAction(0, { from: anotherAccount }), 'DAPP: caller is not member');
+        });
+      });
+    });
+
+    context('testing onlyApprovedWithStake actions', function () {
+      const minAmount = new BN(10);
+
+      beforeEach(async function () {
+        await this.token.transferAndCall(this.dao.address, minAmount, { from: member });
+      });
+
+      describe('from approved member', function () {
+        beforeEach(async function () {
+          await this.dao.setApproved(member, true, { from: operator });
+        });
+
+        it('allows access with enough stake', async function () {
+          await this.dapp.onlyApprovedWithStakeAction(minAmount, { from: member });
+        });
+
+        it('reverts without enough stake', async function () {
+          await expectRevert(
+            this.dapp.onlyApprovedWithStakeAction(minAmount.addn(1), { from: member }),
+            'DAPP: staked tokens are not enough'
+          );
+        });
+      });
+
+      describe('from not approved member', function () {
+        it('reverts', async function () {
+          await expectRevert(
+            this.dapp.onlyApprovedWithStakeAction(minAmount, { from: member }),
+            'DAPP: caller is not approved'
+          );
+        });
+      });
+    });
+
+    context('testing subscriptions', function () {
+      const price = new BN(10);
+      const period = time.duration.days(30);
+
+      beforeEach(async function () {
+        await this.token.transferAndCall(this.dao.address, price.muln(3), { from: member });
+        await this.dao.addDapp(this.dapp.address, { from: operator });
+      });
+
+      describe('setting subscription', function () {
+        describe('from owner', function () {
+          it('should emit SubscriptionChanged', async function () {
+            const { logs } = await this.dapp.setSubscription(price, period, { from: creator });
+
+            (await this.dapp.subscriptionPrice()).should.be.bignumber.equal(price);
+            (await this.dapp.subscriptionPeriod()).should.be.bignumber.equal(period);
+            (await this.dapp.subscriptionVersion()).should.be.bignumber.equal(new BN(1));
+
+            expectEvent.inLogs(logs, 'SubscriptionChanged', { price: price, period: period });
+          });
+
+          it('should not change version if price and period are the same', async function () {
+            await this.dapp.setSubscription(price, period, { from: creator });
+            await this.dapp.setSubscription(price, period, { from: creator });
+
+            (await this.dapp.subscriptionVersion()).should.be.bignumber.equal(new BN(1));
+          });
+        });
+
+        describe('from another account', function () {
+          it('reverts', async function () {
+            await expectRevert.unspecified(this.dapp.setSubscription(price, period, { from: anotherAccount }));
+          });
+        });
+      });
+
+      describe('if subscriptions are disabled', function () {
+        it('reverts subscribing', async function () {
+          await expectRevert.unspecified(this.dapp.subscribe({ from: member }));
+        });
+      });
+
+      context('if subscriptions are enabled', function () {
+        beforeEach(async function () {
+          await this.dapp.setSubscription(price, period, { from: creator });
+        });
+
+        it('should not be subscriber', async function () {
+          (await this.dapp.isSubscriber(member)).should.be.equal(false);
+          await expectRevert.unspecified(this.dapp.onlySubscriberAction({ from: member }));
+        });
+
+        describe('subscribing', function () {
+          let expiry;
+
+          beforeEach(async function () {
+            ({ logs: this.logs } = await this.dapp.subscribe({ from: member }));
+
+            expiry = (await time.latest()).add(period);
+          });
+
+          it('should use tokens and set expiry', async function () {
+            (await this.dao.usedTokensOf(member)).should.be.bignumber.equal(price);
+            (await this.dapp.subscriptionExpiry(member)).should.be.bignumber.equal(expiry);
+            (await this.dapp.isSubscriber(member)).should.be.equal(true);
+          });
+
+          it('should emit Subscribed', async function () {
+            expectEvent.inLogs(this.logs, 'Subscribed', { account: member, expiry: expiry });
+          });
+
+          it('allows access', async function () {
+            await this.dapp.onlySubscriberAction({ from: member });
+          });
+
+          it('should extend expiry if renewing', async function () {
+            await this.dapp.subscribe({ from: member });
+
+            (await this.dapp.subscriptionExpiry(member)).should.be.bignumber.equal(expiry.add(period));
+          });
+
+          describe('after expiry', function () {
+            beforeEach(async function () {
+              await time.increaseTo(expiry);
+            });
+
+            it('reverts accessing', async function () {
+              (await this.dapp.isSubscriber(member)).should.be.equal(false);
+              await expectRevert.unspecified(this.dapp.onlySubscriberAction({ from: member }));
+            });
+
+            it('reverts renewing if auto renew is disabled', async function () {
+              await expectRevert.unspecified(this.dapp.renew(member, { from: anotherAccount }));
+            });
+
+            describe('if auto renew is enabled', function () {
+              beforeEach(async function () {
+                ({ logs: this.logs } = await this.dapp.setAutoRenew(true, { from: member }));
+              });
+
+              it('should emit AutoRenewChanged', async function () {
+                (await this.dapp.autoRenewOf(member)).should.be.equal(true);
+
+                expectEvent.inLogs(this.logs, 'AutoRenewChanged', { account: member, enabled: true });
+              });
+
+              it('should renew accessing', async function () {
+                await this.dapp.onlySubscriberAction({ from: member });
+
+                (await this.dapp.subscriptionExpiry(member)).should.be.bignumber.equal(
+                  (await time.latest()).add(period)
+                );
+                (await this.dao.usedTokensOf(member)).should.be.bignumber.equal(price.muln(2));
+              });
+
+              it('should be renewed by anyone', async function () {
+                await this.dapp.renew(member, { from: anotherAccount });
+
+                (await this.dapp.isSubscriber(member)).should.be.equal(true);
+                (await this.dao.usedTokensOf(member)).should.be.bignumber.equal(price.muln(2));
+              });
+
+              it('reverts renewing if not expired', async function () {
+                await this.dapp.renew(member, { from: anotherAccount });
+
+                await expectRevert.unspecified(this.dapp.renew(member, { from: anotherAccount }));
+              });
+
+              describe('if subscription price changes', function () {
+                beforeEach(async function () {
+                  await this.dapp.setSubscription(price.muln(2), period, { from: creator });
+                });
+
+                it('should stop auto renew', async function () {
+                  (await this.dapp.autoRenewOf(member)).should.be.equal(false);
+
+                  await expectRevert.unspecified(this.dapp.renew(member, { from: anotherAccount }));
+                  await expectRevert.unspecified(this.dapp.onlySubscriberAction({ from: member }));
+                });
+
+                it('should renew at the new price if enabled again', async function () {
+                  await this.dapp.setAutoRenew(true, { from: member });
+
+                  await this.dapp.renew(member, { from: anotherAccount });
+
+                  (await this.dao.usedTokensOf(member)).should.be.bignumber.equal(price.muln(3));
+                });
+              });
+
+              describe('if subscription period changes', function () {
+                it('should stop auto renew', async function () {
+                  await this.dapp.setSubscription(price, time.duration.days(1), { from: creator });
+
+                  (await this.dapp.autoRenewOf(member)).should.be.equal(false);
+
+                  await expectRevert.unspecified(this.dapp.renew(member, { from: anotherAccount }));
+                });
+              });
+            });
+          });
+        });
+
+        describe('from another account', function () {
+          it('reverts', async function () {
+            await expectRevert.unspecified(this.dapp.subscribe({ from: anotherAccount }));
+            await expectRevert.unspecified(this.dapp.setAutoRenew(true, { from: anotherAccount }));
+          });
+        });
+      });
+    });
+
+    context('testing reservations', function () {
+      const amount = new BN(100);
+      const duration = time.duration.days(1);
+
+      beforeEach(async function () {
+        await this.token.transferAndCall(this.dao.address, amount, { from: member });
+        await this.dao.addDapp(this.dapp.address, { from: operator });
+      });
+
+      it('should start without reservations', async function () {
+        (await this.dapp.reservedTokens()).should.be.bignumber.equal(new BN(0));
+        (await this.dapp.reservationOf(member)).expiry.should.be.bignumber.equal(new BN(0));
+        (await this.dapp.availableCreditOf(member)).should.be.bignumber.equal(new BN(0));
+      });
+
+      describe('opening a reservation', function () {
+        let expiry;
+
+        beforeEach(async function () {
+          ({ logs: this.logs } = await this.dapp.openReservation(amount, duration, { from: member }));
+
+          expiry = (await time.latest()).add(duration);
+        });
+
+        it('should use member tokens into escrow', async function () {
+          (await this.dao.stakedTokensOf(member)).should.be.bignumber.equal(new BN(0));
+          (await this.token.balanceOf(this.dapp.address)).should.be.bignumber.equal(amount);
+          (await this.dapp.reservedTokens()).should.be.bignumber.equal(amount);
+          (await this.dapp.collectedTokens()).should.be.bignumber.equal(new BN(0));
+        });
+
+        it('should store the reservation', async function () {
+          const reservation = await this.dapp.reservationOf(member);
+
+          reservation.amount.should.be.bignumber.equal(amount);
+          reservation.consumed.should.be.bignumber.equal(new BN(0));
+          reservation.expiry.should.be.bignumber.equal(expiry);
+
+          (await this.dapp.availableCreditOf(member)).should.be.bignumber.equal(amount);
+        });
+
+        it('should emit ReservationOpened', async function () {
+          expectEvent.inLogs(this.logs, 'ReservationOpened', {
+            account: member,
+            amount: amount,
+            expiry: expiry,
+          });
+        });
+
+        it('reverts opening another reservation', async function () {
+          await expectRevert.unspecified(this.dapp.openReservation(0, duration, { from: member }));
+        });
+
+        it('reverts withdrawing reserved tokens', async function () {
+          await expectRevert.unspecified(this.dapp.withdrawTokens(creator, 1, { from: creator }));
+        });
+
+        describe('consuming tokens', function () {
+          const consumed = new BN(30);
+
+          beforeEach(async function () {
+            ({ logs: this.logs } = await this.dapp.consumeAction(consumed, { from: member }));
+          });
+
+          it('should decrease available credit', async function () {
+            (await this.dapp.availableCreditOf(member)).should.be.bignumber.equal(amount.sub(consumed));
+            (await this.dapp.reservationOf(member)).consumed.should.be.bignumber.equal(consumed);
+          });
+
+          it('should emit ReservationConsumed', async function () {
+            expectEvent.inLogs(this.logs, 'ReservationConsumed', { account: member, value: consumed });
+          });
+
+          it('reverts consuming more than available credit', async function () {
+            await expectRevert.unspecified(this.dapp.consumeAction(amount.sub(consumed).addn(1), { from: member }));
+          });
+
+          describe('closing from member', function () {
+            let receipt;
+
+            beforeEach(async function () {
+              receipt = await this.dapp.closeReservation(member, { from: member });
+            });
+
+            it('should collect consumed tokens and give back the remainder', async function () {
+              (await this.dao.stakedTokensOf(member)).should.be.bignumber.equal(amount.sub(consumed));
+              (await this.dao.usedTokensOf(member)).should.be.bignumber.equal(consumed);
+              (await this.token.balanceOf(this.dapp.address)).should.be.bignumber.equal(consumed);
+              (await this.dapp.collectedTokens()).should.be.bignumber.equal(consumed);
+              (await this.dapp.reservedTokens()).should.be.bignumber.equal(new BN(0));
+              (await this.dapp.reservationOf(member)).expiry.should.be.bignumber.equal(new BN(0));
+            });
+
+            it('should emit ReservationClosed', async function () {
+              await expectEvent.inTransaction(receipt.tx, DAPP, 'ReservationClosed', {
+                account: member,
+                consumed: consumed,
+                refunded: amount.sub(consumed),
+              });
+            });
+
+            it('reverts closing again', async function () {
+              await expectRevert.unspecified(this.dapp.closeReservation(member, { from: member }));
+            });
+          });
+
+          describe('closing from another account', function () {
+            it('reverts before expiry', async function () {
+              await expectRevert.unspecified(this.dapp.closeReservation(member, { from: anotherAccount }));
+            });
+
+            describe('after expiry', function () {
+              beforeEach(async function () {
+                await time.increaseTo(expiry);
+              });
+
+              it('reverts consuming', async function () {
+                (await this.dapp.availableCreditOf(member)).should.be.bignumber.equal(new BN(0));
+                await expectRevert.unspecified(this.dapp.consumeAction(1, { from: member }));
+              });
+
+              it('should close the reservation', async function () {
+                await this.dapp.closeReservation(member, { from: anotherAccount });
+
+                (await this.dao.stakedTokensOf(member)).should.be.bignumber.equal(amount.sub(consumed));
+              });
+            });
+          });
+
+          describe('if member left', function () {
+            beforeEach(async function () {
+              await this.dao.leave({ from: member });
+
+              await this.dapp.closeReservation(member, { from: member });
+            });
+
+            it('should transfer the remainder to the account', async function () {
+              (await this.token.balanceOf(member)).should.be.bignumber.equal(tokenBalance.sub(consumed));
+              (await this.token.balanceOf(this.dapp.address)).should.be.bignumber.equal(consumed);
+              (await this.dapp.collectedTokens()).should.be.bignumber.equal(consumed);
+              (await this.dapp.reservedTokens()).should.be.bignumber.equal(new BN(0));
+            });
+
+            it('allows withdrawing collected tokens', async function () {
+              await this.dapp.withdrawTokens(creator, consumed, { from: creator });
+
+              (await this.token.balanceOf(creator)).should.be.bignumber.equal(tokenBalance.add(consumed));
+            });
+          });
+
+          describe('if member is removed', function () {
+            it('should transfer the remainder to the account', async function () {
+              await this.dao.removeMember(member, 'reason', { from: operator });
+
+              await this.dapp.closeReservation(member, { from: creator });
+
+              (await this.token.balanceOf(member)).should.be.bignumber.equal(tokenBalance.sub(consumed));
+              (await this.dapp.reservedTokens()).should.be.bignumber.equal(new BN(0));
+            });
+          });
+
+          describe('if dapp is removed from DAO', function () {
+            it('should transfer the remainder to the account', async function () {
+              await this.dao.removeDapp(this.dapp.address, { from: operator });
+
+              await this.dapp.closeReservation(member, { from: member });
+
+              (await this.token.balanceOf(member)).should.be.bignumber.equal(tokenBalance.sub(consumed));
+              (await this.dao.isMember(member)).should.be.equal(true);
+              (await this.dapp.reservedTokens()).should.be.bignumber.equal(new BN(0));
+            });
+          });
+        });
+      });
+
+      describe('from another account', function () {
+        it('reverts', async function () {
+          await expectRevert.unspecified(this.dapp.openReservation(0, duration, { from: anotherAccount }));
+        });
+      });
+    });
+
+    context('testing fee discounts', function () {
+      const discount = new BN(20);
+      const discountedFee = new BN(4);
+
+      beforeEach(async function () {
+        await this.token.transferAndCall(this.dao.address, new BN(10), { from: member });
+        await this.dao.addDapp(this.dapp.address, { from: operator });
+      });
+
+      it('should start without discounts', async function () {
+        (await this.dapp.approvedDiscount()).should.be.bignumber.equal(new BN(0));
+        (await this.dapp.tierDiscountOf(1)).should.be.bignumber.equal(new BN(0));
+        (await this.dapp.feeFor(member)).should.be.bignumber.equal(fee);
+      });
+
+      describe('setting discounts', function () {
+        describe('from owner', function () {
+          it('should emit ApprovedDiscountChanged', async function () {
+            const { logs } = await this.dapp.setApprovedDiscount(discount, { from: creator });
+
+            (await this.dapp.approvedDiscount()).should.be.bignumber.equal(discount);
+
+            expectEvent.inLogs(logs, 'ApprovedDiscountChanged', { discount: discount });
+          });
+
+          it('should emit TierDiscountChanged', async function () {
+            const { logs } = await this.dapp.setTierDiscount(1, discount, { from: creator });
+
+            (await this.dapp.tierDiscountOf(1)).should.be.bignumber.equal(discount);
+
+            expectEvent.inLogs(logs, 'TierDiscountChanged', { tier: new BN(1), discount: discount });
+          });
+
+          it('reverts if greater than 100', async function () {
+            await expectRevert.unspecified(this.dapp.setApprovedDiscount(101, { from: creator }));
+            await expectRevert.unspecified(this.dapp.setTierDiscount(1, 101, { from: creator }));
+          });
+        });
+
+        describe('from another account', function () {
+          it('reverts', async function () {
+            await expectRevert.unspecified(this.dapp.setApprovedDiscount(discount, { from: anotherAccount }));
+            await expectRevert.unspecified(this.dapp.setTierDiscount(1, discount, { from: anotherAccount }));
+          });
+        });
+      });
+
+      describe('if member is approved', function () {
+        beforeEach(async function () {
+          await this.dapp.setApprovedDiscount(discount, { from: creator });
+          await this.dao.setApproved(member, true, { from: operator });
+        });
+
+        it('should use discounted fee', async function () {
+          (await this.dapp.feeFor(member)).should.be.bignumber.equal(discountedFee);
+          (await this.dapp.feeFor(anotherAccount)).should.be.bignumber.equal(fee);
+
+          await this.dapp.useFeeAction({ from: member });
+
+          (await this.dao.usedTokensOf(member)).should.be.bignumber.equal(discountedFee);
+        });
+      });
+
+      describe('if member reached a DAO tier', function () {
+        beforeEach(async function () {
+          await this.dao.setTiers([10], [0], { from: creator });
+          await this.dapp.setTierDiscount(1, discount, { from: creator });
+        });
+
+        it('should use discounted fee', async function () {
+          (await this.dapp.feeFor(member)).should.be.bignumber.equal(discountedFee);
+        });
+
+        it('should apply the greatest discount', async function () {
+          await this.dapp.setApprovedDiscount(100, { from: creator });
+
+          (await this.dapp.feeFor(member)).should.be.bignumber.equal(discountedFee);
+
+          await this.dao.setApproved(member, true, { from: operator });
+
+          (await this.dapp.feeFor(member)).should.be.bignumber.equal(new BN(0));
+        });
+      });
+    });
+
+    context('testing refund', function () {
+      beforeEach(async function () {
+        await this.token.transferAndCall(this.dao.address, fee, { from: member });
+        await this.dao.addDapp(this.dapp.address, { from: operator });
+
+        await this.dapp.useFeeAction({ from: member });
+      });
+
+      describe('if refunding used tokens', function () {
+        let receipt;
+
+        beforeEach(async function () {
+          receipt = await this.dapp.refundAction(member, fee);
+        });
+
+        it('should give back tokens to member stake', async function () {
+          (await this.dao.stakedTokensOf(member)).should.be.bignumber.equal(fee);
+          (await this.dao.usedTokensOf(member)).should.be.bignumber.equal(new BN(0));
+          (await this.token.balanceOf(this.dapp.address)).should.be.bignumber.equal(new BN(0));
+        });
+
+        it('should decrease collected tokens', async function () {
+          (await this.dapp.collectedTokens()).should.be.bignumber.equal(new BN(0));
+        });
+
+        it('should emit TokensRefunded', async function () {
+          await expectEvent.inTransaction(receipt.tx, DAO, 'TokensRefunded', {
+            account: member,
+            dapp: this.dapp.address,
+            value: fee,
+          });
+        });
+      });
+
+      describe('if refunding more than used tokens', function () {
+        it('reverts', async function () {
+          await expectRevert.unspecified(this.dapp.refundAction(member, fee.addn(1)));
+        });
+      });
+    });
+
     context('testing memberSince sample function', function () {
       describe('if member', function () {
         it('return true if date is greater than creation', async function () {
@@ -0,0 +1,391 @@
+const { BN, constants, expectRevert, expectEvent, time } = require('openzeppelin-test-helpers');
+const { ZERO_ADDRESS } = constants;
+
+const ERC1363 = artifacts.require('ERC1363Mock');
+const DAO = artifacts.require('DAOMock');
+const DAPPMock = artifacts.require('DAPPMock');
+const DAPPRegistry = artifacts.require('DAPPRegistry');
+
+contract('DAPPRegistry', function (
+  [
+    creator,
+    operator,
+    dappOwner,
+    member,
+    anotherAccount,
+    ...accounts
+  ]
+) {
+  const Status = {
+    None: new BN(0),
+    Pending: new BN(1),
+    Active: new BN(2),
+    Suspended: new BN(3),
+    Retired: new BN(4),
+  };
+
+  const name = 'My DAPP';
+  const uri = 'https://example.com/dapp.json';
+  const tokenAmount = new BN(10);
+
+  before(async function () {
+    // Advance to the next block to correctly read time in the solidity "now" function interpreted by ganache
+    await time.advanceBlock();
+  });
+
+  beforeEach(async function () {
+    this.token = await ERC1363.new(creator, 0);
+
+    await this.token.mintMock(member, tokenAmount);
+
+    this.dao = await DAO.new(this.token.address, { from: creator });
+
+    await this.dao.addOperator(operator, { from: creator });
+
+    this.dapp = await DAPPMock.new(this.dao.address, 1, { from: dappOwner });
+
+    await this.token.transferAndCall(this.dao.address, tokenAmount, { from: member });
+    await this.dao.approveDapp(this.dapp.address, tokenAmount, 0, { from: member });
+  });
+
+  context('testing constructor', function () {
+    describe('if dao is the zero address', function () {
+      it('reverts', async function () {
+        await expectRevert.unspecified(DAPPRegistry.new(ZERO_ADDRESS));
+      });
+    });
+  });
+
+  context('if valid constructor', function () {
+    beforeEach(async function () {
+      this.registry = await DAPPRegistry.new(this.dao.address, { from: creator });
+
+      await this.dao.setDappRegistry(this.registry.address, { from: creator });
+    });
+
+    it('should have DAO set', async function () {
+      (await this.registry.dao()).should.be.equal(this.dao.address);
+    });
+
+    it('should start with zero dapps', async function () {
+      (await this.registry.dappsNumber()).should.be.bignumber.equal(new BN(0));
+      (await this.registry.statusOf(this.dapp.address)).should.be.bignumber.equal(Status.None);
+    });
+
+    it('reverts adding dapps directly from operator', async function () {
+      await expectRevert.unspecified(this.dao.addDapp(this.dapp.address, { from: operator }));
+    });
+
+    context('registering a dapp', function () {
+      beforeEach(async function () {
+        ({ logs: this.logs } = await this.registry.register(this.dapp.address, name, uri, { from: dappOwner }));
+      });
+
+      it('should store the dapp as pending', async function () {
+        const dappStructure = await this.registry.getDapp(this.dapp.address);
+
+        dappStructure.name.should.be.equal(name);
+        dappStructure.uri.should.be.equal(uri);
+        dappStructure.owner.should.be.equal(dappOwner);
+        dappStructure.fee.should.be.bignumber.equal(new BN(1));
+        dappStructure.status.should.be.bignumber.equal(Status.Pending);
+
+        (await this.registry.isActive(this.dapp.address)).should.be.equal(false);
+        (await this.dao.isDapp(this.dapp.address)).should.be.equal(false);
+      });
+
+      it('should return the current fee of the dapp', async function () {
+        await this.dapp.requestFeeChange(new BN(5), { from: dappOwner });
+        await time.increase((await this.dapp.feeChangeDelay()).addn(1));
+        await this.dapp.applyFeeChange();
+
+        (await this.registry.getDapp(this.dapp.address)).fee.should.be.bignumber.equal(new BN(5));
+      });
+
+      it('should return the current owner of the dapp', async function () {
+        await this.dapp.transferOwnership(anotherAccount, { from: dappOwner });
+
+        (await this.registry.getDapp(this.dapp.address)).owner.should.be.equal(anotherAccount);
+      });
+
+      it('should add the dapp to the list', async function () {
+        (await this.registry.dappsNumber()).should.be.bignumber.equal(new BN(1));
+        (await this.registry.dappAt(0)).should.be.equal(this.dapp.address);
+      });
+
+      it('should emit DappRegistered and DappStatusChanged', async function () {
+        expectEvent.inLogs(this.logs, 'DappRegistered', {
+          dapp: this.dapp.address,
+          owner: dappOwner,
+          name: name,
+        });
+
+        expectEvent.inLogs(this.logs, 'DappStatusChanged', {
+          dapp: this.dapp.address,
+          status: Status.Pending,
+        });
+      });
+
+      it('reverts registering again', async function () {
+        await expectRevert.unspecified(this.registry.register(this.dapp.address, name, uri, { from: dappOwner }));
+      });
+
+      it('reverts using tokens', async function () {
+        await expectRevert.unspecified(this.dapp.useFeeAction({ from: member }));
+      });
+
+      describe('changing metadata', function () {
+        describe('from dapp owner', function () {
+          it('should emit DappMetadataChanged', async function () {
+            const { logs } = await this.registry.setMetadata(this.dapp.address, 'New name', uri, { from: dappOwner });
+
+            const dappStructure = await this.registry.getDapp(this.dapp.address);
+
+            dappStructure.name.should.be.equal('New name');
+
+            expectEvent.inLogs(logs, 'DappMetadataChanged', {
+              dapp: this.dapp.address,
+              name: 'New name',
+              uri: uri,
+            });
+          });
+        });
+
+        describe('from another account', function () {
+          it('reverts', async function () {
+            await expectRevert.unspecified(
+              this.registry.setMetadata(this.dapp.address, name, uri, { from: anotherAccount })
+            );
+          });
+        });
+
+        describe('if dapp ownership is transferred', function () {
+          beforeEach(async function () {
+            await this.dapp.transferOwnership(anotherAccount, { from: dappOwner });
+          });
+
+          it('allows the new owner', async function () {
+            await this.registry.setMetadata(this.dapp.address, 'New name', uri, { from: anotherAccount });
+
+            (await this.registry.getDapp(this.dapp.address)).name.should.be.equal('New name');
+          });
+
+          it('reverts from the previous owner', async function () {
+            await expectRevert.unspecified(
+              this.registry.setMetadata(this.dapp.address, name, uri, { from: dappOwner })
+            );
+          });
+        });
+      });
+
+      describe('activating', function () {
+        describe('from operator', function () {
+          beforeEach(async function () {
+            ({ logs: this.logs } = await this.registry.activate(this.dapp.address, { from: operator }));
+          });
+
+          it('should be active', async function () {
+            (await this.registry.statusOf(this.dapp.address)).should.be.bignumber.equal(Status.Active);
+            (await this.registry.isActive(this.dapp.address)).should.be.equal(true);
+            (await this.dao.isDapp(this.dapp.address)).should.be.equal(true);
+          });
+
+          it('should emit DappStatusChanged', async function () {
+            expectEvent.inLogs(this.logs, 'DappStatusChanged', {
+              dapp: this.dapp.address,
+              status: Status.Active,
+            });
+          });
+
+          it('allows using tokens', async function () {
+            await this.dapp.useFeeAction({ from: member });
+
+            (await this.dao.usedTokensOf(member)).should.be.bignumber.equal(new BN(1));
+          });
+
+          it('reverts removing the dapp directly from operator', async function () {
+            await expectRevert.unspecified(this.dao.removeDapp(this.dapp.address, { from: operator }));
+          });
+
+          it('reverts activating again', async function () {
+            await expectRevert.unspecified(this.registry.activate(this.dapp.address, { from: operator }));
+          });
+
+          describe('suspending', function () {
+            beforeEach(async function () {
+              ({ logs: this.logs } = await this.registry.suspend(this.dapp.address, { from: operator }));
+            });
+
+            it('should be suspended', async function () {
+              (await this.registry.statusOf(this.dapp.address)).should.be.bignumber.equal(Status.Suspended);
+              (await this.dao.isDapp(this.dapp.address)).should.be.equal(false);
+            });
+
+            it('should emit DappStatusChanged', async function () {
+              expectEvent.inLogs(this.logs, 'DappStatusChanged', {
+                dapp: this.dapp.address,
+                status: Status.Suspended,
+              });
+            });
+
+            it('reverts using tokens', async function () {
+              await expectRevert.unspecified(this.dapp.useFeeAction({ from: member }));
+            });
+
+            it('should be activated again', async function () {
+              await this.registry.activate(this.dapp.address, { from: operator });
+
+              (await this.dao.isDapp(this.dapp.address)).should.be.equal(true);
+            });
+
+            it('reverts suspending again', async function () {
+              await expectRevert.unspecified(this.registry.suspend(this.dapp.address, { from: operator }));
+            });
+          });
+
+          describe('retiring', function () {
+            beforeEach(async function () {
+              ({ logs: this.logs } = await this.registry.retire(this.dapp.address, { from: operator }));
+            });
+
+            it('should be retired', async function () {
+              (await this.registry.statusOf(this.dapp.address)).should.be.bignumber.equal(Status.Retired);
+              (await this.dao.isDapp(this.dapp.address)).should.be.equal(false);
+            });
+
+            it('should emit DappStatusChanged', async function () {
+              expectEvent.inLogs(this.logs, 'DappStatusChanged', {
+                dapp: this.dapp.address,
+                status: Status.Retired,
+              });
+            });
+
+            it('reverts activating or retiring again', async function () {
+              await expectRevert.unspecified(this.registry.activate(this.dapp.address, { from: operator }));
+              await expectRevert.unspecified(this.registry.retire(this.dapp.address, { from: operator }));
+            });
+          });
+        });
+
+        describe('from another account', function () {
+          it('reverts', async function () {
+            await expectRevert.unspecified(this.registry.activate(this.dapp.address, { from: dappOwner }));
+          });
+        });
+      });
+
+      it('reverts suspending a pending dapp', async function () {
+        await expectRevert.unspecified(this.registry.suspend(this.dapp.address, { from: operator }));
+      });
+
+      it('reverts revoking the dapp', async function () {
+        await expectRevert.unspecified(this.registry.revoke(this.dapp.address, { from: operator }));
+      });
+
+      describe('retiring a pending dapp', function () {
+        it('should be retired', async function () {
+          await this.registry.retire(this.dapp.address, { from: operator });
+
+          (await this.registry.statusOf(this.dapp.address)).should.be.bignumber.equal(Status.Retired);
+        });
+      });
+    });
+
+    context('if dapp is not registered', function () {
+      it('reverts changing status', async function () {
+        await expectRevert.unspecified(this.registry.activate(this.dapp.address, { from: operator }));
+        await expectRevert.unspecified(this.registry.suspend(this.dapp.address, { from: operator }));
+        await expectRevert.unspecified(this.registry.retire(this.dapp.address, { from: operator }));
+      });
+
+      it('reverts changing metadata', async function () {
+        await expectRevert.unspecified(this.registry.setMetadata(this.dapp.address, name, uri, { from: dappOwner }));
+      });
+
+      it('should return zero owner and fee', async function () {
+        const dappStructure = await this.registry.getDapp(this.dapp.address);
+
+        dappStructure.owner.should.be.equal(ZERO_ADDRESS);
+        dappStructure.fee.should.be.bignumber.equal(new BN(0));
+      });
+
+      it('reverts revoking if dapp has not the role', async function () {
+        await expectRevert.unspecified(this.registry.revoke(this.dapp.address, { from: operator }));
+      });
+    });
+
+    context('if dapp was added before the registry', function () {
+      beforeEach(async function () {
+        await this.dao.setDappRegistry(ZERO_ADDRESS, { from: creator });
+        await this.dao.addDapp(this.dapp.address, { from: operator });
+        await this.dao.setDappRegistry(this.registry.address, { from: creator });
+      });
+
+      describe('if dapp is registered', function () {
+        beforeEach(async function () {
+          await this.registry.register(this.dapp.address, name, uri, { from: dappOwner });
+        });
+
+        it('should be adopted when activated', async function () {
+          await this.registry.activate(this.dapp.address, { from: operator });
+
+          (await this.registry.isActive(this.dapp.address)).should.be.equal(true);
+          (await this.dao.isDapp(this.dapp.address)).should.be.equal(true);
+
+          await this.registry.suspend(this.dapp.address, { from: operator });
+
+          (await this.dao.isDapp(this.dapp.address)).should.be.equal(false);
+        });
+
+        it('should be adopted when suspended', async function () {
+          await this.registry.suspend(this.dapp.address, { from: operator });
+
+          (await this.registry.statusOf(this.dapp.address)).should.be.bignumber.equal(Status.Suspended);
+          (await this.dao.isDapp(this.dapp.address)).should.be.equal(false);
+          await expectRevert.unspecified(this.dapp.useFeeAction({ from: member }));
+        });
+
+        it('should remove the role when retired', async function () {
+          await this.registry.retire(this.dapp.address, { from: operator });
+
+          (await this.dao.isDapp(this.dapp.address)).should.be.equal(false);
+        });
+      });
+
+      describe('if dapp is not registered', function () {
+        describe('revoking from operator', function () {
+          it('should remove the role', async function () {
+            await this.registry.revoke(this.dapp.address, { from: operator });
+
+            (await this.dao.isDapp(this.dapp.address)).should.be.equal(false);
+            await expectRevert.unspecified(this.dapp.useFeeAction({ from: member }));
+          });
+        });
+
+        describe('revoking from another account', function () {
+          it('reverts', async function () {
+            await expectRevert.unspecified(this.registry.revoke(this.dapp.address, { from: anotherAccount }));
+          });
+        });
+      });
+    });
+
+    context('if dapp is the zero address', function () {
+      it('reverts registering', async function () {
+        await expectRevert.unspecified(this.registry.register(ZERO_ADDRESS, name, uri, { from: dappOwner }));
+      });
+    });
+
+    context('if sender is not the dapp owner', function () {
+      it('reverts registering', async function () {
+        await expectRevert.unspecified(this.registry.register(this.dapp.address, name, uri, { from: anotherAccount }));
+      });
+    });
+
+    context('if dapp is not a contract', function () {
+      it('reverts registering', async function () {
+        await expectRevert.unspecified(this.registry.register(anotherAccount, name, uri, { from: anotherAccount }));
+      });
+    });
+  });
+});
@@ -0,0 +1,643 @@
+const { BN, constants, expectRevert, expectEvent, time } = require('openzeppelin-test-helpers');
+const { ZERO_ADDRESS } = constants;
+
+const { shouldBehaveLikeOwnable } = require('../ownership/Ownable.behavior');
+
+const ERC1363 = artifacts.require('ERC1363Mock');
+const DAO = artifacts.require('DAOMock');
+const Governance = artifacts.require('Governance');
+const Timelock = artifacts.require('Timelock');
+
+const ProposalState = {
+  Active: new BN(0),
+  Defeated: new BN(1),
+  Succeeded: new BN(2),
+  Queued: new BN(3),
+  Executed: new BN(4),
+  Canceled: new BN(5),
+};
+
+const VoteType = {
+  Against: new BN(0),
+  For: new BN(1),
+  Abstain: new BN(2),
+};
+
+contract('Governance', function (
+  [
+    creator,
+    operator,
+    member,
+    anotherMember,
+    notApproved,
+    anotherAccount,
+    ...accounts
+  ]
+) {
+  const votingPeriod = time.duration.days(3);
+  const quorum = new BN(50);
+  const description = 'A proposal description';
+
+  const memberStake = new BN(300);
+  const anotherMemberStake = new BN(200);
+  const notApprovedStake = new BN(500);
+
+  before(async function () {
+    // Advance to the next block to correctly read time in the solidity "now" function interpreted by ganache
+    await time.advanceBlock();
+  });
+
+  beforeEach(async function () {
+    this.token = await ERC1363.new(creator, 0);
+
+    this.dao = await DAO.new(this.token.address, { from: creator });
+
+    await this.dao.addOperator(operator, { from: creator });
+
+    for (const [account, stake] of [[member, memberStake], [anotherMember, anotherMemberStake]]) {
+      await this.token.mintMock(account, stake);
+      await this.token.transferAndCall(this.dao.address, stake, { from: account });
+      await this.dao.setApproved(account, true, { from: operator });
+    }
+
+    await this.token.mintMock(notApproved, notApprovedStake);
+    await this.token.transferAndCall(this.dao.address, notApprovedStake, { from: notApproved });
+  });
+
+  context('testing constructor', function () {
+    describe('if dao is the zero address', function () {
+      it('reverts', async function () {
+        await expectRevert.unspecified(Governance.new(ZERO_ADDRESS, votingPeriod, quorum));
+      });
+    });
+
+    describe('if voting period is zero', function () {
+      it('reverts', async function () {
+        await expectRevert.unspecified(Governance.new(this.dao.address, 0, quorum));
+      });
+    });
+
+    describe('if quorum is greater than 100', function () {
+      it('reverts', async function () {
+        await expectRevert.unspecified(Governance.new(this.dao.address, votingPeriod, 101));
+      });
+    });
+  });
+
+  context('if valid constructor', function () {
+    beforeEach(async function () {
+      this.governance = await Governance.new(this.dao.address, votingPeriod, quorum, { from: creator });
+    });
+
+    it('should have DAO set', async function () {
+      (await this.governance.dao()).should.be.equal(this.dao.address);
+    });
+
+    it('should have voting period set', async function () {
+      (await this.governance.votingPeriod()).should.be.bignumber.equal(votingPeriod);
+    });
+
+    it('should have quorum set', async function () {
+      (await this.governance.quorum()).should.be.bignumber.equal(quorum);
+    });
+
+    it('should start with zero proposals', async function () {
+      (await this.governance.proposalsNumber()).should.be.bignumber.equal(new BN(0));
+    });
+
+    context('creating a proposal', function () {
+      describe('from approved member', function () {
+        let proposalId;
+        let startDate;
+
+        beforeEach(async function () {
+          ({ logs: this.logs } = await this.governance.propose(description, { from: member }));
+
+          proposalId = await this.governance.proposalsNumber();
+          startDate = await time.latest();
+        });
+
+        it('should increase proposals number', async function () {
+          proposalId.should.be.bignumber.equal(new BN(1));
+        });
+
+        it('should emit a ProposalCreated event', async function () {
+          expectEvent.inLogs(this.logs, 'ProposalCreated', {
+            id: proposalId,
+            proposer: member,
+            description: description,
+            startDate: startDate,
+            endDate: startDate.add(votingPeriod),
+          });
+        });
+
+        it('should have the right properties', async function () {
+          const proposal = await this.governance.getProposal(proposalId);
+          const snapshotBlock = (await time.latestBlock()).subn(1);
+
+          proposal.id.should.be.bignumber.equal(proposalId);
+          proposal.proposer.should.be.equal(member);
+          proposal.description.should.be.equal(description);
+          proposal.startDate.should.be.bignumber.equal(startDate);
+          proposal.endDate.should.be.bignumber.equal(startDate.add(votingPeriod));
+          proposal.snapshotBlock.should.be.bignumber.equal(snapshotBlock);
+          proposal.quorumVotes.should.be.bignumber.equal(
+            (await this.dao.totalStakedTokensAt(snapshotBlock)).mul(quorum).divn(100)
+          );
+          proposal.forVotes.should.be.bignumber.equal(new BN(0));
+          proposal.againstVotes.should.be.bignumber.equal(new BN(0));
+          proposal.abstainVotes.should.be.bignumber.equal(new BN(0));
+        });
+
+        it('should be active', async function () {
+          (await this.governance.state(proposalId)).should.be.bignumber.equal(ProposalState.Active);
+        });
+
+        context('casting votes', function () {
+          describe('from approved member', function () {
+            beforeEach(async function () {
+              ({ logs: this.logs } = await this.governance.castVote(proposalId, VoteType.For, { from: member }));
+            });
+
+            it('should emit a VoteCast event', async function () {
+              expectEvent.inLogs(this.logs, 'VoteCast', {
+                account: member,
+                proposalId: proposalId,
+                support: VoteType.For,
+                weight: memberStake,
+              });
+            });
+
+            it('should count votes weighted by staked tokens', async function () {
+              const proposal = await this.governance.getProposal(proposalId);
+
+              proposal.forVotes.should.be.bignumber.equal(memberStake);
+            });
+
+            it('should set the member as voter', async function () {
+              (await this.governance.hasVoted(proposalId, member)).should.be.equal(true);
+              (await this.governance.hasVoted(proposalId, anotherMember)).should.be.equal(false);
+            });
+
+            describe('if voting twice', function () {
+              it('reverts', async function () {
+                await expectRevert.unspecified(
+                  this.governance.castVote(proposalId, VoteType.Against, { from: member })
+                );
+              });
+            });
+
+            describe('if voting again after migrating to a new address', function () {
+              beforeEach(async function () {
+                await this.dao.migrate(anotherAccount, { from: member });
+              });
+
+              it('should keep the member as voter', async function () {
+                (await this.governance.hasVoted(proposalId, anotherAccount)).should.be.equal(true);
+                (await this.governance.hasVoted(proposalId, member)).should.be.equal(false);
+              });
+
+              it('reverts', async function () {
+                await expectRevert.unspecified(
+                  this.governance.castVote(proposalId, VoteType.For, { from: anotherAccount })
+                );
+              });
+            });
+          });
+
+          describe('from approved member without staked tokens at snapshot', function () {
+            it('reverts', async function () {
+              await this.dao.unstake(anotherMemberStake, { from: anotherMember });
+
+              await this.governance.propose(description, { from: member });
+              const newProposalId = await this.governance.proposalsNumber();
+
+              await this.token.mintMock(anotherMember, anotherMemberStake);
+              await this.token.transferAndCall(this.dao.address, anotherMemberStake, { from: anotherMember });
+
+              await expectRevert.unspecified(
+                this.governance.castVote(newProposalId, VoteType.For, { from: anotherMember })
+              );
+            });
+          });
+
+          describe('if staked tokens change after snapshot', function () {
+            it('should use the staked tokens at snapshot as weight', async function () {
+              await this.token.mintMock(member, memberStake);
+              await this.token.transferAndCall(this.dao.address, memberStake, { from: member });
+
+              await this.dao.unstake(anotherMemberStake, { from: anotherMember });
+
+              await this.governance.castVote(proposalId, VoteType.For, { from: member });
+              await this.governance.castVote(proposalId, VoteType.Against, { from: anotherMember });
+
+              const proposal = await this.governance.getProposal(proposalId);
+
+              proposal.forVotes.should.be.bignumber.equal(memberStake);
+              proposal.againstVotes.should.be.bignumber.equal(anotherMemberStake);
+            });
+          });
+
+          describe('if members delegated before snapshot', function () {
+            let delegatedProposalId;
+
+            beforeEach(async function () {
+              await this.dao.delegate(member, { from: notApproved });
+              await this.dao.delegate(member, { from: anotherMember });
+
+              await this.governance.propose(description, { from: member });
+              delegatedProposalId = await this.governance.proposalsNumber();
+            });
+
+            it('should use own and delegated tokens as weight', async function () {
+              await this.governance.castVote(delegatedProposalId, VoteType.For, { from: member });
+
+              const proposal = await this.governance.getProposal(delegatedProposalId);
+
+              proposal.forVotes.should.be.bignumber.equal(memberStake.add(notApprovedStake).add(anotherMemberStake));
+            });
+
+            it('reverts if delegator votes', async function () {
+              await expectRevert.unspecified(
+                this.governance.castVote(delegatedProposalId, VoteType.For, { from: anotherMember })
+              );
+            });
+          });
+
+          describe('from not approved member', function () {
+            it('reverts', async function () {
+              await expectRevert.unspecified(
+                this.governance.castVote(proposalId, VoteType.For, { from: notApproved })
+              );
+            });
+          });
+
+          describe('if voting period is ended', function () {
+            it('reverts', async function () {
+              await time.increase(votingPeriod.addn(1));
+
+              await expectRevert.unspecified(
+                this.governance.castVote(proposalId, VoteType.For, { from: member })
+              );
+            });
+          });
+
+          describe('if proposal does not exist', function () {
+            it('reverts', async function () {
+              await expectRevert.unspecified(
+                this.governance.castVote(999, VoteType.For, { from: member })
+              );
+            });
+          });
+        });
+
+        context('tallying results', function () {
+          describe('if quorum is reached and for votes are more than against', function () {
+            it('should be succeeded', async function () {
+              await this.governance.castVote(proposalId, VoteType.For, { from: member });
+              await this.governance.castVote(proposalId, VoteType.Against, { from: anotherMember });
+
+              await time.increase(votingPeriod.addn(1));
+
+              (await this.governance.state(proposalId)).should.be.bignumber.equal(ProposalState.Succeeded);
+            });
+          });
+
+          describe('if quorum is reached and for votes are not more than against', function () {
+            it('should be defeated', async function () {
+              await this.governance.castVote(proposalId, VoteType.Against, { from: member });
+              await this.governance.castVote(proposalId, VoteType.For, { from: anotherMember });
+
+              await time.increase(votingPeriod.addn(1));
+
+              (await this.governance.state(proposalId)).should.be.bignumber.equal(ProposalState.Defeated);
+            });
+          });
+
+          describe('if quorum is not reached', function () {
+            it('should be defeated', async function () {
+              await this.governance.castVote(proposalId, VoteType.For, { from: anotherMember });
+
+              await time.increase(votingPeriod.addn(1));
+
+              (await this.governance.state(proposalId)).should.be.bignumber.equal(ProposalState.Defeated);
+            });
+          });
+
+          describe('if abstain votes reach quorum', function () {
+            it('should count them for quorum', async function () {
+              await this.governance.castVote(proposalId, VoteType.Abstain, { from: member });
+              await this.governance.castVote(proposalId, VoteType.For, { from: anotherMember });
+
+              await time.increase(votingPeriod.addn(1));
+
+              const proposal = await this.governance.getProposal(proposalId);
+              proposal.abstainVotes.should.be.bignumber.equal(memberStake);
+
+              (await this.governance.state(proposalId)).should.be.bignumber.equal(ProposalState.Succeeded);
+            });
+          });
+        });
+      });
+
+      describe('from not approved member', function () {
+        it('reverts', async function () {
+          await expectRevert.unspecified(this.governance.propose(description, { from: notApproved }));
+        });
+      });
+
+      describe('from another account', function () {
+        it('reverts', async function () {
+          await expectRevert.unspecified(this.governance.propose(description, { from: anotherAccount }));
+        });
+      });
+    });
+
+    context('executing proposals calls', function () {
+      const delay = time.duration.days(2);
+
+      let data;
+      let proposalId;
+
+      beforeEach(async function () {
+        this.timelock = await Timelock.new(this.dao.address, delay, { from: creator });
+
+        await this.timelock.transferOwnership(this.governance.address, { from: creator });
+        await this.dao.transferOwnership(this.timelock.address, { from: creator });
+
+        data = this.dao.contract.methods.addOperator(anotherAccount).encodeABI();
+
+        await this.governance.proposeCall(this.dao.address, 0, data, description, { from: member });
+
+        proposalId = await this.governance.proposalsNumber();
+      });
+
+      it('should have the call set', async function () {
+        const call = await this.governance.getProposalCall(proposalId);
+
+        call.target.should.be.equal(this.dao.address);
+        call.value.should.be.bignumber.equal(new BN(0));
+        call.data.should.be.equal(data);
+        call.eta.should.be.bignumber.equal(new BN(0));
+        call.callTimelock.should.be.equal(ZERO_ADDRESS);
+      });
+
+      describe('proposing a call to the zero address', function () {
+        it('reverts', async function () {
+          await expectRevert.unspecified(
+            this.governance.proposeCall(ZERO_ADDRESS, 0, data, description, { from: member })
+          );
+        });
+      });
+
+      describe('proposing a call from not approved member', function () {
+        it('reverts', async function () {
+          await expectRevert.unspecified(
+            this.governance.proposeCall(this.dao.address, 0, data, description, { from: notApproved })
+          );
+        });
+      });
+
+      context('if proposal succeeded', function () {
+        beforeEach(async function () {
+          await this.governance.castVote(proposalId, VoteType.For, { from: member });
+          await this.governance.castVote(proposalId, VoteType.For, { from: anotherMember });
+
+          await time.increase(votingPeriod.addn(1));
+        });
+
+        describe('if timelock is not set', function () {
+          it('reverts queueing', async function () {
+            await expectRevert.unspecified(this.governance.queue(proposalId, { from: anotherAccount }));
+          });
+        });
+
+        context('if timelock is set', function () {
+          let eta;
+
+          beforeEach(async function () {
+            await this.governance.setTimelock(this.timelock.address, { from: creator });
+
+            ({ logs: this.logs } = await this.governance.queue(proposalId, { from: anotherAccount }));
+
+            eta = (await time.latest()).add(delay);
+          });
+
+          it('should be queued', async function () {
+            (await this.governance.state(proposalId)).should.be.bignumber.equal(ProposalState.Queued);
+
+            const call = await this.governance.getProposalCall(proposalId);
+
+            call.eta.should.be.bignumber.equal(eta);
+            call.callTimelock.should.be.equal(this.timelock.address);
+          });
+
+          it('should emit a ProposalQueued event', async function () {
+            expectEvent.inLogs(this.logs, 'ProposalQueued', {
+              id: proposalId,
+              eta: eta,
+            });
+          });
+
+          it('reverts queueing again', async function () {
+            await expectRevert.unspecified(this.governance.queue(proposalId, { from: anotherAccount }));
+          });
+
+          describe('executing before delay is passed', function () {
+            it('reverts', async function () {
+              await expectRevert.unspecified(this.governance.execute(proposalId, { from: anotherAccount }));
+            });
+          });
+
+          describe('executing after delay is passed', function () {
+            beforeEach(async function () {
+              await time.increaseTo(eta);
+
+              ({ logs: this.logs } = await this.governance.execute(proposalId, { from: anotherAccount }));
+            });
+
+            it('should execute the call', async function () {
+              (await this.dao.isOperator(anotherAccount)).should.be.equal(true);
+            });
+
+            it('should be executed', async function () {
+              (await this.governance.state(proposalId)).should.be.bignumber.equal(ProposalState.Executed);
+            });
+
+            it('should emit a ProposalExecuted event', async function () {
+              expectEvent.inLogs(this.logs, 'ProposalExecuted', { id: proposalId });
+            });
+
+            it('reverts executing again', async function () {
+              await expectRevert.unspecified(this.governance.execute(proposalId, { from: anotherAccount }));
+            });
+          });
+
+          describe('if timelock is changed', function () {
+            beforeEach(async function () {
+              this.newTimelock = await Timelock.new(this.dao.address, delay, { from: creator });
+
+              await this.governance.setTimelock(this.newTimelock.address, { from: creator });
+            });
+
+            it('should still be queued into the previous timelock', async function () {
+              (await this.governance.state(proposalId)).should.be.bignumber.equal(ProposalState.Queued);
+
+              (await this.governance.getProposalCall(proposalId)).callTimelock.should.be.equal(this.timelock.address);
+            });
+
+            it('should execute the call through the previous timelock', async function () {
+              await time.increaseTo(eta);
+
+              await this.governance.execute(proposalId, { from: anotherAccount });
+
+              (await this.dao.isOperator(anotherAccount)).should.be.equal(true);
+              (await this.governance.state(proposalId)).should.be.bignumber.equal(ProposalState.Executed);
+            });
+          });
+
+          describe('if call is cancelled by a DAO operator', function () {
+            beforeEach(async function () {
+              const callId = await this.timelock.hashCall(this.dao.address, 0, data, eta);
+
+              await this.timelock.cancel(callId, { from: operator });
+            });
+
+            it('should be canceled', async function () {
+              (await this.governance.state(proposalId)).should.be.bignumber.equal(ProposalState.Canceled);
+            });
+
+            it('reverts executing', async function () {
+              await time.increaseTo(eta);
+
+              await expectRevert.unspecified(this.governance.execute(proposalId, { from: anotherAccount }));
+            });
+          });
+        });
+      });
+
+      context('if proposal is defeated', function () {
+        it('reverts queueing', async function () {
+          await this.governance.setTimelock(this.timelock.address, { from: creator });
+
+          await time.increase(votingPeriod.addn(1));
+
+          await expectRevert.unspecified(this.governance.queue(proposalId, { from: anotherAccount }));
+        });
+      });
+
+      context('if proposal has no call', function () {
+        it('reverts queueing', async function () {
+          await this.governance.setTimelock(this.timelock.address, { from: creator });
+
+          await this.governance.propose(description, { from: member });
+
+          const textProposalId = await this.governance.proposalsNumber();
+
+          await this.governance.castVote(textProposalId, VoteType.For, { from: member });
+          await this.governance.castVote(textProposalId, VoteType.For, { from: anotherMember });
+
+          await time.increase(votingPeriod.addn(1));
+
+          await expectRevert.unspecified(this.governance.queue(textProposalId, { from: anotherAccount }));
+        });
+      });
+    });
+
+    context('when proposal does not exist', function () {
+      it('reverts getting proposal', async function () {
+        await expectRevert.unspecified(this.governance.getProposal(999));
+      });
+
+      it('reverts getting state', async function () {
+        await expectRevert.unspecified(this.governance.state(999));
+      });
+    });
+
+    context('changing settings', function () {
+      describe('set voting period', function () {
+        describe('from owner', function () {
+          it('should change voting period and emit VotingPeriodChanged', async function () {
+            const newVotingPeriod = time.duration.days(7);
+
+            const { logs } = await this.governance.setVotingPeriod(newVotingPeriod, { from: creator });
+
+            (await this.governance.votingPeriod()).should.be.bignumber.equal(newVotingPeriod);
+
+            expectEvent.inLogs(logs, 'VotingPeriodChanged', { votingPeriod: newVotingPeriod });
+          });
+
+          it('reverts if zero', async function () {
+            await expectRevert.unspecified(this.governance.setVotingPeriod(0, { from: creator }));
+          });
+        });
+
+        describe('from another account', function () {
+          it('reverts', async function () {
+            await expectRevert.unspecified(this.governance.setVotingPeriod(1, { from: anotherAccount }));
+          });
+        });
+      });
+
+      describe('set timelock', function () {
+        beforeEach(async function () {
+          this.timelock = await Timelock.new(this.dao.address, time.duration.days(2), { from: creator });
+        });
+
+        describe('from owner', function () {
+          it('should change timelock and emit TimelockChanged', async function () {
+            const { logs } = await this.governance.setTimelock(this.timelock.address, { from: creator });
+
+            (await this.governance.timelock()).should.be.equal(this.timelock.address);
+
+            expectEvent.inLogs(logs, 'TimelockChanged', { timelock: this.timelock.address });
+          });
+
+          it('reverts if zero address', async function () {
+            await expectRevert.unspecified(this.governance.setTimelock(ZERO_ADDRESS, { from: creator }));
+          });
+        });
+
+        describe('from another account', function () {
+          it('reverts', async function () {
+            await expectRevert.unspecified(
+              this.governance.setTimelock(this.timelock.address, { from: anotherAccount })
+            );
+          });
+        });
+      });
+
+      describe('set quorum', function () {
+        describe('from owner', function () {
+          it('should change quorum and emit QuorumChanged', async function () {
+            const newQuorum = new BN(20);
+
+            const { logs } = await this.governance.setQuorum(newQuorum, { from: creator });
+
+            (await this.governance.quorum()).should.be.bignumber.equal(newQuorum);
+
+            expectEvent.inLogs(logs, 'QuorumChanged', { quorum: newQuorum });
+          });
+
+          it('reverts if greater than 100', async function () {
+            await expectRevert.unspecified(this.governance.setQuorum(101, { from: creator }));
+          });
+        });
+
+        describe('from another account', function () {
+          it('reverts', async function () {
+            await expectRevert.unspecified(this.governance.setQuorum(1, { from: anotherAccount }));
+          });
+        });
+      });
+    });
+
+    context('testing ownership', function () {
+      beforeEach(async function () {
+        this.ownable = this.governance;
+      });
+
+      shouldBehaveLikeOwnable(creator, accounts);
+    });
+  });
+});
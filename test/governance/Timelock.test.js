@@ -0,0 +1,292 @@
+const { BN, balance, constants, ether, expectRevert, expectEvent, time } = require('openzeppelin-test-helpers');
+const { ZERO_ADDRESS } = constants;
+
+const { shouldBehaveLikeOwnable } = require('../ownership/Ownable.behavior');
+
+const ERC1363 = artifacts.require('ERC1363Mock');
+const DAO = artifacts.require('DAOMock');
+const Timelock = artifacts.require('Timelock');
+
+contract('Timelock', function (
+  [
+    creator,
+    operator,
+    dapp,
+    anotherAccount,
+    ...accounts
+  ]
+) {
+  const delay = time.duration.days(2);
+
+  before(async function () {
+    // Advance to the next block to correctly read time in the solidity "now" function interpreted by ganache
+    await time.advanceBlock();
+  });
+
+  beforeEach(async function () {
+    this.token = await ERC1363.new(creator, 0);
+
+    this.dao = await DAO.new(this.token.address, { from: creator });
+
+    await this.dao.addOperator(operator, { from: creator });
+  });
+
+  context('testing constructor', function () {
+    describe('if dao is the zero address', function () {
+      it('reverts', async function () {
+        await expectRevert.unspecified(Timelock.new(ZERO_ADDRESS, delay));
+      });
+    });
+
+    describe('if delay is zero', function () {
+      it('reverts', async function () {
+        await expectRevert.unspecified(Timelock.new(this.dao.address, 0));
+      });
+    });
+  });
+
+  context('if valid constructor', function () {
+    beforeEach(async function () {
+      this.timelock = await Timelock.new(this.dao.address, delay, { from: creator });
+
+      await this.dao.transferOwnership(this.timelock.address, { from: creator });
+    });
+
+    it('should have DAO set', async function () {
+      (await this.timelock.dao()).should.be.equal(this.dao.address);
+    });
+
+    it('should have delay set', async function () {
+      (await this.timelock.delay()).should.be.bignumber.equal(delay);
+    });
+
+    const queueCall = async function (target, value, data) {
+      const { logs } = await this.timelock.queue(target, value, data, { from: creator });
+
+      const { id, eta } = logs.find(e => e.event === 'CallQueued').args;
+
+      return { id, eta, logs };
+    };
+
+    context('queueing a call', function () {
+      describe('from owner', function () {
+        let data;
+        let call;
+
+        beforeEach(async function () {
+          data = this.dao.contract.methods.addOperator(anotherAccount).encodeABI();
+
+          call = await queueCall.call(this, this.dao.address, 0, data);
+        });
+
+        it('should emit a CallQueued event', async function () {
+          expectEvent.inLogs(call.logs, 'CallQueued', {
+            id: await this.timelock.hashCall(this.dao.address, 0, data, call.eta),
+            target: this.dao.address,
+            value: new BN(0),
+            data: data,
+            eta: (await time.latest()).add(delay),
+          });
+        });
+
+        it('should be queued', async function () {
+          (await this.timelock.isQueued(call.id)).should.be.equal(true);
+          (await this.timelock.isExecuted(call.id)).should.be.equal(false);
+        });
+
+        context('executing the call', function () {
+          describe('before delay is passed', function () {
+            it('reverts', async function () {
+              await expectRevert.unspecified(
+                this.timelock.execute(this.dao.address, 0, data, call.eta, { from: anotherAccount })
+              );
+            });
+          });
+
+          describe('after delay is passed', function () {
+            beforeEach(async function () {
+              await time.increaseTo(call.eta);
+
+              ({ logs: this.logs } = await this.timelock.execute(
+                this.dao.address, 0, data, call.eta, { from: anotherAccount }
+              ));
+            });
+
+            it('should execute the call', async function () {
+              (await this.dao.isOperator(anotherAccount)).should.be.equal(true);
+            });
+
+            it('should be executed', async function () {
+              (await this.timelock.isQueued(call.id)).should.be.equal(false);
+              (await this.timelock.isExecuted(call.id)).should.be.equal(true);
+            });
+
+            it('should emit a CallExecuted event', async function () {
+              expectEvent.inLogs(this.logs, 'CallExecuted', {
+                id: call.id,
+                target: this.dao.address,
+                value: new BN(0),
+                data: data,
+                eta: call.eta,
+              });
+            });
+
+            describe('executing again', function () {
+              it('reverts', async function () {
+                await expectRevert.unspecified(
+                  this.timelock.execute(this.dao.address, 0, data, call.eta, { from: anotherAccount })
+                );
+              });
+            });
+          });
+
+          describe('if the call fails', function () {
+            it('reverts', async function () {
+              const failingData = this.dao.contract.methods.addOperator(operator).encodeABI();
+
+              const failingCall = await queueCall.call(this, this.dao.address, 0, failingData);
+
+              await time.increaseTo(failingCall.eta);
+
+              await expectRevert.unspecified(
+                this.timelock.execute(this.dao.address, 0, failingData, failingCall.eta, { from: anotherAccount })
+              );
+            });
+          });
+        });
+
+        context('cancelling the call', function () {
+          describe('from DAO operator', function () {
+            beforeEach(async function () {
+              ({ logs: this.logs } = await this.timelock.cancel(call.id, { from: operator }));
+            });
+
+            it('should not be queued', async function () {
+              (await this.timelock.isQueued(call.id)).should.be.equal(false);
+            });
+
+            it('should emit a CallCancelled event', async function () {
+              expectEvent.inLogs(this.logs, 'CallCancelled', { id: call.id });
+            });
+
+            it('reverts executing', async function () {
+              await time.increaseTo(call.eta);
+
+              await expectRevert.unspecified(
+                this.timelock.execute(this.dao.address, 0, data, call.eta, { from: anotherAccount })
+              );
+            });
+
+            it('reverts cancelling again', async function () {
+              await expectRevert.unspecified(this.timelock.cancel(call.id, { from: operator }));
+            });
+          });
+
+          describe('from another account', function () {
+            it('reverts', async function () {
+              await expectRevert.unspecified(this.timelock.cancel(call.id, { from: anotherAccount }));
+            });
+          });
+        });
+      });
+
+      describe('if target is the zero address', function () {
+        it('reverts', async function () {
+          await expectRevert.unspecified(this.timelock.queue(ZERO_ADDRESS, 0, '0x', { from: creator }));
+        });
+      });
+
+      describe('from another account', function () {
+        it('reverts', async function () {
+          const data = this.dao.contract.methods.addOperator(anotherAccount).encodeABI();
+
+          await expectRevert.unspecified(this.timelock.queue(this.dao.address, 0, data, { from: anotherAccount }));
+        });
+      });
+    });
+
+    context('routing DAO privileged actions', function () {
+      const executeCall = async function (target, value, data) {
+        const call = await queueCall.call(this, target, value, data);
+
+        await time.increaseTo(call.eta);
+
+        return this.timelock.execute(target, value, data, call.eta, { from: anotherAccount });
+      };
+
+      describe('addDapp', function () {
+        it('should add a dapp', async function () {
+          await executeCall.call(
+            this, this.dao.address, 0, this.dao.contract.methods.addOperator(this.timelock.address).encodeABI()
+          );
+          await executeCall.call(
+            this, this.dao.address, 0, this.dao.contract.methods.addDapp(dapp).encodeABI()
+          );
+
+          (await this.dao.isDapp(dapp)).should.be.equal(true);
+        });
+      });
+
+      describe('recoverERC20', function () {
+        it('should recover tokens into the timelock', async function () {
+          const amount = new BN(100);
+
+          await this.token.mintMock(this.dao.address, amount);
+
+          const data = this.dao.contract.methods.recoverERC20(this.token.address, amount.toString()).encodeABI();
+
+          await executeCall.call(this, this.dao.address, 0, data);
+
+          (await this.token.balanceOf(this.timelock.address)).should.be.bignumber.equal(amount);
+        });
+      });
+
+      describe('sending ETH', function () {
+        it('should transfer value', async function () {
+          const value = ether('1');
+
+          await this.timelock.send(value, { from: creator });
+
+          const preBalance = await balance.current(dapp);
+
+          await executeCall.call(this, dapp, value, '0x');
+
+          (await balance.current(dapp)).should.be.bignumber.equal(preBalance.add(value));
+        });
+      });
+    });
+
+    context('changing delay', function () {
+      describe('through a queued call', function () {
+        it('should change delay and emit DelayChanged', async function () {
+          const newDelay = time.duration.days(5);
+          const data = this.timelock.contract.methods.setDelay(newDelay.toString()).encodeABI();
+
+          const call = await queueCall.call(this, this.timelock.address, 0, data);
+
+          await time.increaseTo(call.eta);
+
+          const receipt = await this.timelock.execute(this.timelock.address, 0, data, call.eta);
+
+          (await this.timelock.delay()).should.be.bignumber.equal(newDelay);
+
+          await expectEvent.inTransaction(receipt.tx, Timelock, 'DelayChanged', { delay: newDelay });
+        });
+      });
+
+      describe('directly', function () {
+        it('reverts', async function () {
+          await expectRevert.unspecified(this.timelock.setDelay(1, { from: creator }));
+        });
+      });
+    });
+
+    context('testing ownership', function () {
+      beforeEach(async function () {
+        this.ownable = this.timelock;
+      });
+
+      shouldBehaveLikeOwnable(creator, accounts);
+    });
+  });
+});